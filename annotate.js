@@ -0,0 +1,447 @@
+// annotate.js - Annotation editor for captures reviewed before saving
+
+document.addEventListener('DOMContentLoaded', () => {
+  // UI Elements
+  const toolButtons = document.querySelectorAll('.tool');
+  const colorInput = document.getElementById('color');
+  const lineWidthSelect = document.getElementById('lineWidth');
+  const undoBtn = document.getElementById('undoBtn');
+  const redoBtn = document.getElementById('redoBtn');
+  const cancelBtn = document.getElementById('cancelBtn');
+  const saveBtn = document.getElementById('saveBtn');
+  const statusDiv = document.getElementById('status');
+  const errorDiv = document.getElementById('error');
+  const stage = document.getElementById('stage');
+  const headerImg = document.getElementById('header');
+  const canvas = document.getElementById('canvas');
+  const ctx = canvas.getContext('2d');
+
+  const reviewId = Number(new URLSearchParams(window.location.search).get('id'));
+
+  // Capture being edited, and the ratio between its pixels and CSS pixels
+  let image = null;
+  let scale = 1;
+
+  // Edits, in pixels of the capture: the annotations in drawing order and the
+  // crop area ({ x, y, width, height }) or null. Each edit replaces the state,
+  // previous states are kept for undo.
+  let state = { annotations: [], crop: null };
+  const undoStack = [];
+  const redoStack = [];
+
+  let tool = 'rectangle';
+  // Annotation or crop area being drawn with the pointer
+  let drawing = null;
+  let saving = false;
+
+  // Localization - Apply translations
+  document.querySelectorAll('[data-i18n]').forEach(element => {
+    const message = chrome.i18n.getMessage(element.dataset.i18n);
+    if (message) {
+      element.textContent = message;
+    }
+  });
+  headerImg.title = chrome.i18n.getMessage('annotateHeaderLocked');
+
+  function showError(message) {
+    errorDiv.textContent = message ? chrome.i18n.getMessage('error', [message]) : '';
+  }
+
+  function updateButtons() {
+    undoBtn.disabled = undoStack.length === 0;
+    redoBtn.disabled = redoStack.length === 0;
+    saveBtn.disabled = !image || saving;
+  }
+
+  function commit(newState) {
+    undoStack.push(state);
+    redoStack.length = 0;
+    state = newState;
+    updateButtons();
+    render();
+  }
+
+  function undo() {
+    if (undoStack.length > 0) {
+      redoStack.push(state);
+      state = undoStack.pop();
+      updateButtons();
+      render();
+    }
+  }
+
+  function redo() {
+    if (redoStack.length > 0) {
+      undoStack.push(state);
+      state = redoStack.pop();
+      updateButtons();
+      render();
+    }
+  }
+
+  function addAnnotation(annotation) {
+    commit({ annotations: state.annotations.concat([annotation]), crop: state.crop });
+  }
+
+  // Part of the capture shown and saved
+  function visibleArea() {
+    return state.crop || { x: 0, y: 0, width: image.width, height: image.height };
+  }
+
+  // Rectangle from two corners, in any order
+  function normalizeRect(rect) {
+    return {
+      x: Math.min(rect.x, rect.x + rect.width),
+      y: Math.min(rect.y, rect.y + rect.height),
+      width: Math.abs(rect.width),
+      height: Math.abs(rect.height)
+    };
+  }
+
+  // Sizes follow the selected line width, in pixels of the capture
+  function strokeWidth() {
+    return Number(lineWidthSelect.value) * scale;
+  }
+
+  function textSize() {
+    return (12 + Number(lineWidthSelect.value) * 2) * scale;
+  }
+
+  function drawArrow(annotation) {
+    const [from, to] = annotation.points;
+    const angle = Math.atan2(to.y - from.y, to.x - from.x);
+    const head = annotation.lineWidth * 4;
+
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x, to.y);
+    ctx.stroke();
+
+    ctx.beginPath();
+    ctx.moveTo(to.x, to.y);
+    ctx.lineTo(to.x - head * Math.cos(angle - Math.PI / 6), to.y - head * Math.sin(angle - Math.PI / 6));
+    ctx.lineTo(to.x - head * Math.cos(angle + Math.PI / 6), to.y - head * Math.sin(angle + Math.PI / 6));
+    ctx.closePath();
+    ctx.fill();
+  }
+
+  function drawAnnotation(annotation) {
+    ctx.save();
+    ctx.strokeStyle = annotation.color;
+    ctx.fillStyle = annotation.color;
+    ctx.lineWidth = annotation.lineWidth;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    switch (annotation.type) {
+      case 'rectangle': {
+        const rect = normalizeRect(annotation);
+        ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+        break;
+      }
+      case 'redact': {
+        // Solid and opaque, whatever the color, so nothing shows through
+        const rect = normalizeRect(annotation);
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+        break;
+      }
+      case 'highlight': {
+        const rect = normalizeRect(annotation);
+        ctx.globalAlpha = 0.35;
+        ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+        break;
+      }
+      case 'arrow':
+        drawArrow(annotation);
+        break;
+      case 'freehand':
+        ctx.beginPath();
+        annotation.points.forEach((point, index) => {
+          if (index === 0) {
+            ctx.moveTo(point.x, point.y);
+          } else {
+            ctx.lineTo(point.x, point.y);
+          }
+        });
+        ctx.stroke();
+        break;
+      case 'text':
+        ctx.font = `${annotation.size}px Arial, sans-serif`;
+        ctx.textBaseline = 'top';
+        annotation.text.split('\n').forEach((line, index) => {
+          ctx.fillText(line, annotation.x, annotation.y + index * annotation.size * 1.2);
+        });
+        break;
+      case 'callout': {
+        const radius = annotation.size;
+        ctx.beginPath();
+        ctx.arc(annotation.x, annotation.y, radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = '#ffffff';
+        ctx.font = `bold ${Math.round(radius * 1.2)}px Arial, sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(String(annotation.number), annotation.x, annotation.y);
+        break;
+      }
+    }
+
+    ctx.restore();
+  }
+
+  // Crop area being drawn, with the rest of the capture darkened
+  function drawCropPreview(area) {
+    const rect = normalizeRect(drawing);
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    ctx.beginPath();
+    ctx.rect(area.x, area.y, area.width, area.height);
+    ctx.rect(rect.x, rect.y, rect.width, rect.height);
+    ctx.fill('evenodd');
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = scale;
+    ctx.setLineDash([6 * scale, 4 * scale]);
+    ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+    ctx.restore();
+  }
+
+  // Draw the visible area with its annotations. Without a drawing in
+  // progress, the canvas holds the image to save.
+  function render() {
+    const area = visibleArea();
+    if (canvas.width !== area.width || canvas.height !== area.height) {
+      canvas.width = area.width;
+      canvas.height = area.height;
+    }
+
+    ctx.setTransform(1, 0, 0, 1, -area.x, -area.y);
+    ctx.drawImage(image, 0, 0);
+    state.annotations.forEach(drawAnnotation);
+
+    if (drawing && drawing.type === 'crop') {
+      drawCropPreview(area);
+    } else if (drawing) {
+      drawAnnotation(drawing);
+    }
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+
+    // The header preview spans the width of the edited image
+    headerImg.style.width = canvas.getBoundingClientRect().width + 'px';
+  }
+
+  // Position of a pointer event in pixels of the capture
+  function eventPoint(e) {
+    const rect = canvas.getBoundingClientRect();
+    const area = visibleArea();
+    return {
+      x: Math.round((e.clientX - rect.left) * canvas.width / rect.width + area.x),
+      y: Math.round((e.clientY - rect.top) * canvas.height / rect.height + area.y)
+    };
+  }
+
+  canvas.addEventListener('pointerdown', (e) => {
+    if (!image || e.button !== 0) {
+      return;
+    }
+    const point = eventPoint(e);
+    const style = { color: colorInput.value, lineWidth: strokeWidth() };
+
+    switch (tool) {
+      case 'text': {
+        const text = prompt(chrome.i18n.getMessage('annotateTextPrompt'));
+        if (text) {
+          addAnnotation(Object.assign({ type: 'text', x: point.x, y: point.y, text: text, size: textSize() }, style));
+        }
+        return;
+      }
+      case 'callout': {
+        const number = state.annotations.filter(annotation => annotation.type === 'callout').length + 1;
+        addAnnotation(Object.assign({ type: 'callout', x: point.x, y: point.y, number: number, size: textSize() }, style));
+        return;
+      }
+      case 'arrow':
+        drawing = Object.assign({ type: 'arrow', points: [point, point] }, style);
+        break;
+      case 'freehand':
+        drawing = Object.assign({ type: 'freehand', points: [point] }, style);
+        break;
+      default:
+        drawing = Object.assign({ type: tool, x: point.x, y: point.y, width: 0, height: 0 }, style);
+    }
+
+    canvas.setPointerCapture(e.pointerId);
+    render();
+  });
+
+  canvas.addEventListener('pointermove', (e) => {
+    if (!drawing) {
+      return;
+    }
+    const point = eventPoint(e);
+
+    if (drawing.type === 'arrow') {
+      drawing.points[1] = point;
+    } else if (drawing.type === 'freehand') {
+      drawing.points.push(point);
+    } else {
+      drawing.width = point.x - drawing.x;
+      drawing.height = point.y - drawing.y;
+    }
+    render();
+  });
+
+  canvas.addEventListener('pointerup', () => {
+    if (!drawing) {
+      return;
+    }
+    const shape = drawing;
+    drawing = null;
+
+    if (shape.type === 'arrow' || shape.type === 'freehand') {
+      const [from, to] = [shape.points[0], shape.points[shape.points.length - 1]];
+      if (shape.points.length > 2 || Math.hypot(to.x - from.x, to.y - from.y) > 3 * scale) {
+        addAnnotation(shape);
+        return;
+      }
+    } else if (Math.abs(shape.width) > 3 * scale && Math.abs(shape.height) > 3 * scale) {
+      if (shape.type === 'crop') {
+        const area = visibleArea();
+        const rect = normalizeRect(shape);
+        const x = Math.max(rect.x, area.x);
+        const y = Math.max(rect.y, area.y);
+        commit({
+          annotations: state.annotations,
+          crop: {
+            x: x,
+            y: y,
+            width: Math.min(rect.x + rect.width, area.x + area.width) - x,
+            height: Math.min(rect.y + rect.height, area.y + area.height) - y
+          }
+        });
+      } else {
+        addAnnotation(Object.assign({}, shape, normalizeRect(shape)));
+      }
+      return;
+    }
+    render();
+  });
+
+  // Summary of the edits recorded in the capture metadata
+  function describeEdits() {
+    const tools = {};
+    state.annotations.forEach(annotation => {
+      tools[annotation.type] = (tools[annotation.type] || 0) + 1;
+    });
+
+    return {
+      annotatedAt: new Date().toISOString(),
+      annotations: state.annotations.length,
+      tools: tools,
+      crop: state.crop,
+      originalSize: { width: image.width, height: image.height }
+    };
+  }
+
+  function closeEditor() {
+    chrome.tabs.getCurrent(tab => chrome.tabs.remove(tab.id));
+  }
+
+  saveBtn.addEventListener('click', () => {
+    saving = true;
+    drawing = null;
+    updateButtons();
+    render();
+    statusDiv.textContent = chrome.i18n.getMessage('annotateSaving');
+
+    chrome.runtime.sendMessage({
+      action: 'saveReview',
+      id: reviewId,
+      dataUrl: canvas.toDataURL('image/png'),
+      annotation: describeEdits()
+    }, (response) => {
+      saving = false;
+      updateButtons();
+      if (chrome.runtime.lastError || !response || !response.success) {
+        statusDiv.textContent = '';
+        showError(chrome.runtime.lastError ? chrome.runtime.lastError.message : (response && response.message));
+        return;
+      }
+      showError(null);
+      statusDiv.textContent = response.filename
+        ? chrome.i18n.getMessage('annotateSaved', [response.filename])
+        : chrome.i18n.getMessage('screenshotCopied');
+      closeEditor();
+    });
+  });
+
+  cancelBtn.addEventListener('click', () => {
+    if (confirm(chrome.i18n.getMessage('annotateCancelConfirm'))) {
+      chrome.runtime.sendMessage({ action: 'cancelReview', id: reviewId }, closeEditor);
+    }
+  });
+
+  toolButtons.forEach(button => {
+    button.addEventListener('click', () => {
+      tool = button.dataset.tool;
+      toolButtons.forEach(other => other.classList.toggle('active', other === button));
+    });
+  });
+
+  undoBtn.addEventListener('click', undo);
+  redoBtn.addEventListener('click', redo);
+
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey)) {
+      return;
+    }
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      undo();
+    } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+      e.preventDefault();
+      redo();
+    }
+  });
+
+  window.addEventListener('resize', () => {
+    if (image) {
+      headerImg.style.width = canvas.getBoundingClientRect().width + 'px';
+    }
+  });
+
+  function loadImage(dataUrl) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error(chrome.i18n.getMessage('annotateLoadFailed')));
+      img.src = dataUrl;
+    });
+  }
+
+  // Load the capture held by the background script
+  chrome.runtime.sendMessage({ action: 'getReview', id: reviewId }, async (response) => {
+    if (chrome.runtime.lastError || !response || !response.success) {
+      showError(chrome.runtime.lastError ? chrome.runtime.lastError.message : (response && response.message));
+      return;
+    }
+
+    try {
+      image = await loadImage(response.imageDataUrl);
+      headerImg.src = response.headerDataUrl;
+      scale = response.scale;
+      document.title = `StampShot - ${response.url}`;
+
+      // The header stays where it will be in the saved file
+      if (response.headerPosition === 'bottom') {
+        stage.appendChild(headerImg);
+      }
+
+      updateButtons();
+      render();
+    } catch (error) {
+      showError(error.message);
+    }
+  });
+});
@@ -0,0 +1,192 @@
+// audit-log.js - Append-only, hash-chained log of every capture, shared by the
+// background script and the audit log page
+
+const AUDIT_DB_NAME = 'stampshot-audit';
+const AUDIT_STORE = 'entries';
+
+// Last entry of the log, { seq, hash }, in the extension storage. It is written
+// after each entry, so that the log page sees new entries, and recorded in the
+// captures to anchor the chain outside the log.
+const AUDIT_HEAD_KEY = 'auditLogHead';
+
+// Key of the log before it was moved to IndexedDB
+const AUDIT_LEGACY_KEY = 'auditLog';
+
+// Hash of the entry before the first one
+const AUDIT_GENESIS_HASH = '0'.repeat(64);
+
+// Each entry is { seq, timestamp, url, mode, filename, sha256, downloadId,
+// outcome ('success' or 'failure'), message, previousHash, hash }. hash is the
+// SHA-256 of the JSON array of the other fields, in this order, so that
+// changing, inserting or removing an entry breaks the chain after it.
+function auditEntryFields(entry) {
+  return [
+    entry.seq,
+    entry.timestamp,
+    entry.url,
+    entry.mode,
+    entry.filename,
+    entry.sha256,
+    entry.downloadId,
+    entry.outcome,
+    entry.message,
+    entry.previousHash
+  ];
+}
+
+function hashAuditEntry(entry) {
+  return sha256Hex(new TextEncoder().encode(JSON.stringify(auditEntryFields(entry))));
+}
+
+// Entries are kept in IndexedDB by seq, so that appending one does not rewrite
+// the others
+let auditDb = null;
+
+function openAuditDb() {
+  if (!auditDb) {
+    auditDb = new Promise((resolve, reject) => {
+      const request = indexedDB.open(AUDIT_DB_NAME, 1);
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(AUDIT_STORE, { keyPath: 'seq' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return auditDb;
+}
+
+// Run a request on the entry store and resolve with its result
+async function auditRequest(mode, makeRequest) {
+  const db = await openAuditDb();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(AUDIT_STORE, mode);
+    const request = makeRequest(transaction.objectStore(AUDIT_STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+// All entries, in order
+function getAuditLog() {
+  return auditRequest('readonly', store => store.getAll());
+}
+
+// Last entry of the log, { seq, hash }, with seq 0 and the genesis hash when
+// the log is empty
+function getAuditHead() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([AUDIT_HEAD_KEY], (result) => {
+      resolve(result[AUDIT_HEAD_KEY] || { seq: 0, hash: AUDIT_GENESIS_HASH });
+    });
+  });
+}
+
+function setAuditHead(entry) {
+  return new Promise(resolve => chrome.storage.local.set({ [AUDIT_HEAD_KEY]: { seq: entry.seq, hash: entry.hash } }, resolve));
+}
+
+// Move a log kept in the extension storage by an earlier version. Entries are
+// put by seq, so moving them again is harmless.
+async function migrateAuditLog() {
+  const stored = await new Promise(resolve => chrome.storage.local.get([AUDIT_LEGACY_KEY], resolve));
+  const log = stored[AUDIT_LEGACY_KEY];
+  if (!log) {
+    return;
+  }
+
+  if (log.length > 0) {
+    await auditRequest('readwrite', store => {
+      log.forEach(entry => store.put(entry));
+      return store.count();
+    });
+    await setAuditHead(log[log.length - 1]);
+  }
+  await new Promise(resolve => chrome.storage.local.remove(AUDIT_LEGACY_KEY, resolve));
+}
+
+// Entry with the highest seq, or null when the log is empty
+async function getLastAuditEntry() {
+  let last = null;
+  await auditRequest('readonly', store => {
+    const request = store.openCursor(null, 'prev');
+    request.onsuccess = () => {
+      last = request.result ? request.result.value : null;
+    };
+    return request;
+  });
+  return last;
+}
+
+// Entries are appended one at a time, each chained to the one before
+let auditLogQueue = migrateAuditLog().catch((error) => {
+  console.error("Audit log not moved:", error);
+});
+
+// Resolves with the entry, or null when it could not be recorded
+function appendAuditEntry(details) {
+  auditLogQueue = auditLogQueue.then(async () => {
+    // Following the last entry, even after a gap, which verification reports
+    const previous = await getLastAuditEntry();
+    const entry = {
+      seq: previous ? previous.seq + 1 : 1,
+      timestamp: new Date().toISOString(),
+      url: details.url || '',
+      mode: details.mode || '',
+      filename: details.filename || '',
+      sha256: details.sha256 || '',
+      downloadId: details.downloadId === undefined ? null : details.downloadId,
+      outcome: details.success ? 'success' : 'failure',
+      message: details.message || '',
+      previousHash: previous ? previous.hash : AUDIT_GENESIS_HASH
+    };
+    entry.hash = await hashAuditEntry(entry);
+
+    await auditRequest('readwrite', store => store.add(entry));
+    await setAuditHead(entry);
+    return entry;
+  }).catch((error) => {
+    // The capture is not failed for its log entry, the caller reports it
+    console.error("Audit log entry not recorded:", error);
+    return null;
+  });
+  return auditLogQueue;
+}
+
+// Check the numbering, links and hashes of the entries, and that the log still
+// holds the last entry recorded in head ({ seq, hash }, from getAuditHead), so
+// that removing the last entries or emptying the log is detected.
+// Returns { valid, count, head } or { valid: false, count, seq, reason } for
+// the first broken entry, with reason 'sequence', 'link', 'hash' or 'head'.
+async function verifyAuditLog(log, head = null) {
+  let previousHash = AUDIT_GENESIS_HASH;
+
+  for (let i = 0; i < log.length; i++) {
+    const entry = log[i];
+    let reason = null;
+
+    if (entry.seq !== i + 1) {
+      reason = 'sequence';
+    } else if (entry.previousHash !== previousHash) {
+      reason = 'link';
+    } else if (entry.hash !== await hashAuditEntry(entry)) {
+      reason = 'hash';
+    }
+
+    if (reason) {
+      return { valid: false, count: log.length, seq: i + 1, reason: reason };
+    }
+    previousHash = entry.hash;
+  }
+
+  if (head && head.seq > 0) {
+    const recorded = log[head.seq - 1];
+    if (!recorded || recorded.hash !== head.hash) {
+      return { valid: false, count: log.length, seq: head.seq, reason: 'head' };
+    }
+  }
+
+  return { valid: true, count: log.length, head: previousHash };
+}
@@ -0,0 +1,156 @@
+// audit.js - Audit log page controller
+
+document.addEventListener('DOMContentLoaded', () => {
+  // UI Elements
+  const verifyBtn = document.getElementById('verifyBtn');
+  const exportCsvBtn = document.getElementById('exportCsvBtn');
+  const exportJsonBtn = document.getElementById('exportJsonBtn');
+  const verificationDiv = document.getElementById('verification');
+  const errorDiv = document.getElementById('error');
+  const entriesTable = document.getElementById('entries');
+  const noEntries = document.getElementById('noEntries');
+
+  const OUTCOME_LABELS = {
+    success: chrome.i18n.getMessage('auditOutcomeSuccess'),
+    failure: chrome.i18n.getMessage('auditOutcomeFailure')
+  };
+
+  const BREAK_REASONS = {
+    sequence: chrome.i18n.getMessage('auditBrokenSequence'),
+    link: chrome.i18n.getMessage('auditBrokenLink'),
+    hash: chrome.i18n.getMessage('auditBrokenHash'),
+    head: chrome.i18n.getMessage('auditBrokenHead')
+  };
+
+  // Columns of the CSV export, in the order of the hashed fields
+  const CSV_COLUMNS = [
+    'seq', 'timestamp', 'url', 'mode', 'filename', 'sha256', 'downloadId',
+    'outcome', 'message', 'previousHash', 'hash'
+  ];
+
+  // Localization - Apply translations
+  document.querySelectorAll('[data-i18n]').forEach(element => {
+    const message = chrome.i18n.getMessage(element.dataset.i18n);
+    if (message) {
+      element.textContent = message;
+    }
+  });
+
+  let log = [];
+
+  function showError(message) {
+    errorDiv.textContent = message ? chrome.i18n.getMessage('error', [message]) : '';
+  }
+
+  function addLine(cell, className, text) {
+    const line = document.createElement('div');
+    line.className = className;
+    line.textContent = text;
+    cell.appendChild(line);
+  }
+
+  // List the entries, newest first
+  function render() {
+    entriesTable.textContent = '';
+    noEntries.hidden = log.length > 0;
+    exportCsvBtn.disabled = log.length === 0;
+    exportJsonBtn.disabled = log.length === 0;
+
+    log.slice().reverse().forEach(entry => {
+      const row = entriesTable.insertRow();
+      row.insertCell().textContent = String(entry.seq);
+
+      const descriptionCell = row.insertCell();
+      descriptionCell.textContent = entry.url || '-';
+      addLine(descriptionCell, 'detail', [
+        new Date(entry.timestamp).toLocaleString(),
+        entry.mode,
+        OUTCOME_LABELS[entry.outcome] || entry.outcome
+      ].join(' - '));
+      if (entry.filename) {
+        addLine(descriptionCell, 'detail', entry.downloadId === null
+          ? entry.filename
+          : chrome.i18n.getMessage('auditDownload', [entry.filename, String(entry.downloadId)]));
+      }
+      if (entry.message) {
+        addLine(descriptionCell, entry.outcome === 'failure' ? 'detail failed' : 'detail', entry.message);
+      }
+
+      const hashCell = row.insertCell();
+      if (entry.sha256) {
+        addLine(hashCell, 'detail hash', chrome.i18n.getMessage('auditImageHash', [entry.sha256]));
+      }
+      addLine(hashCell, 'detail hash', chrome.i18n.getMessage('auditEntryHash', [entry.hash]));
+    });
+  }
+
+  async function verify() {
+    const result = await verifyAuditLog(log, await getAuditHead());
+
+    if (result.valid) {
+      verificationDiv.className = 'valid';
+      verificationDiv.textContent = chrome.i18n.getMessage('auditValid', [String(result.count), result.head]);
+    } else {
+      verificationDiv.className = 'failed';
+      verificationDiv.textContent = chrome.i18n.getMessage('auditBroken', [String(result.seq), BREAK_REASONS[result.reason]]);
+    }
+    return result;
+  }
+
+  async function loadLog() {
+    log = await getAuditLog();
+    render();
+    await verify();
+  }
+
+  // Quote a CSV field when needed
+  function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+  }
+
+  // Save an export with the save dialog, named after the export date
+  function saveExport(content, type, extension) {
+    const date = new Date().toISOString().slice(0, 10);
+    const url = URL.createObjectURL(new Blob([content], {type: type}));
+
+    chrome.downloads.download({ url: url, filename: `stampshot-audit-log-${date}${extension}`, saveAs: true }, () => {
+      if (chrome.runtime.lastError) {
+        showError(chrome.runtime.lastError.message);
+      } else {
+        showError(null);
+      }
+    });
+  }
+
+  verifyBtn.addEventListener('click', loadLog);
+
+  exportCsvBtn.addEventListener('click', () => {
+    const lines = [CSV_COLUMNS.join(',')].concat(
+      log.map(entry => CSV_COLUMNS.map(column => csvField(entry[column])).join(','))
+    );
+    saveExport(lines.join('\r\n') + '\r\n', 'text/csv', '.csv');
+  });
+
+  // The JSON export records the verification, so that a later copy of the log
+  // can be checked against the head hash
+  exportJsonBtn.addEventListener('click', async () => {
+    const verification = await verify();
+    const content = {
+      exportedAt: new Date().toISOString(),
+      extensionVersion: chrome.runtime.getManifest().version,
+      verification: verification,
+      entries: log
+    };
+    saveExport(JSON.stringify(content, null, 2), 'application/json', '.json');
+  });
+
+  // New captures are appended by the background script
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[AUDIT_HEAD_KEY]) {
+      loadLog();
+    }
+  });
+
+  loadLog();
+});
@@ -13,6 +13,68 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       handleCaptureRequest(request, sendResponse);
       return true;
 
+    case "startRegionSelection":
+      startPageSelection('region-select.js')
+        .then(() => sendResponse({ success: true }))
+        .catch(error => sendResponse({ success: false, message: error.message }));
+      return true;
+
+    case "startElementSelection":
+      startPageSelection('element-picker.js')
+        .then(() => sendResponse({ success: true }))
+        .catch(error => sendResponse({ success: false, message: error.message }));
+      return true;
+
+    case "startContainerSelection":
+      startPageSelection('element-picker.js', { _stampshotPickContainer: true })
+        .then(() => sendResponse({ success: true }))
+        .catch(error => sendResponse({ success: false, message: error.message }));
+      return true;
+
+    case "containerSelected":
+      handlePageSelection(CAPTURE_FULL, request, sender);
+      return false;
+
+    case "regionSelected":
+      handlePageSelection(CAPTURE_REGION, request, sender);
+      return false;
+
+    case "elementSelected":
+      handlePageSelection(CAPTURE_ELEMENT, request, sender);
+      return false;
+
+    case "startBatch":
+    case "retryBatch":
+    case "cancelBatch":
+    case "getBatchStatus":
+      handleBatchRequest(request, sendResponse);
+      return false;
+
+    case "createSchedule":
+    case "pauseSchedule":
+    case "deleteSchedule":
+    case "runSchedule":
+      handleScheduleRequest(request, sendResponse);
+      return true;
+
+    case "saveComparison":
+      saveComparison(request)
+        .then(result => sendResponse(result))
+        .catch(error => sendResponse({ success: false, message: error.message }));
+      return true;
+
+    case "getReview":
+    case "saveReview":
+    case "cancelReview":
+      handleReviewRequest(request, sendResponse);
+      return true;
+
+    case "getUploads":
+    case "retryUpload":
+    case "deleteUpload":
+      handleUploadRequest(request, sendResponse);
+      return true;
+
     case "getFolder":
       chrome.storage.local.get(['lastDownloadFolder'], (result) => {
         sendResponse({ folder: result.lastDownloadFolder || "" });
@@ -38,100 +100,718 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
 // Handler for capture requests that manages async operations
 async function handleCaptureRequest(request, sendResponse) {
+  const mode = request.mode || (request.fullPage ? CAPTURE_FULL : CAPTURE_VISIBLE);
+
   try {
     const result = await captureScreenshot(
-      request.fullPage,
+      mode,
       request.saveAs,
-      request.useDownloadsFolder
+      request.useDownloadsFolder,
+      { clipboard: request.clipboard }
     );
     sendResponse(result);
   } catch (error) {
     console.error(chrome.i18n.getMessage('captureFailure', [error.message]), error);
+    const result = { success: false, message: error.message };
+    await logCapture({ mode: mode, success: false, message: error.message }, result);
+    sendResponse(result);
+  }
+}
+
+// Handler for areas and elements selected with the page overlays. The popup is
+// closed by then, so the save options come from the stored destination
+// preference and the result is shown in a notification.
+async function handlePageSelection(mode, request, sender) {
+  const saveOptions = await getSaveOptions();
+  const result = await captureScreenshot(
+    mode,
+    saveOptions.saveAs,
+    saveOptions.useDownloadsFolder,
+    {
+      tab: sender.tab,
+      region: request.region,
+      selector: request.selector,
+      containerSelector: request.containerSelector,
+      destinations: saveOptions.destinations
+    }
+  );
+
+  if (!result.success) {
+    console.error(chrome.i18n.getMessage('captureFailure', [result.message]));
+  }
+  notifyCaptureResult(result);
+}
+
+// Handler for the batch page. Batches run in the background, the page follows
+// their progress through batchProgress messages.
+function handleBatchRequest(request, sendResponse) {
+  try {
+    let batch;
+    switch (request.action) {
+      case "startBatch":
+        batch = startBatch(request.urls, request.mode, request.windowId);
+        break;
+      case "retryBatch":
+        batch = retryBatch();
+        break;
+      case "cancelBatch":
+        batch = cancelBatch();
+        break;
+      default:
+        batch = getBatchStatus();
+    }
+    sendResponse({ success: true, batch: batch });
+  } catch (error) {
+    sendResponse({ success: false, message: error.message });
+  }
+}
+
+// Handler for the schedules page. The page lists the schedules from storage,
+// changes go through the background script which keeps the alarms in sync.
+async function handleScheduleRequest(request, sendResponse) {
+  try {
+    switch (request.action) {
+      case "createSchedule":
+        await createSchedule(request.schedule);
+        break;
+      case "pauseSchedule":
+        await setSchedulePaused(request.id, request.paused);
+        break;
+      case "deleteSchedule":
+        await deleteSchedule(request.id);
+        break;
+      case "runSchedule":
+        // Captures can take long, the page follows the status in storage
+        runSchedule(request.id);
+        break;
+    }
+    sendResponse({ success: true });
+  } catch (error) {
+    sendResponse({ success: false, message: error.message });
+  }
+}
+
+// Handler for the annotation editor, which edits a capture held by the
+// background script until it is saved or the editor is closed
+async function handleReviewRequest(request, sendResponse) {
+  try {
+    switch (request.action) {
+      case "getReview":
+        sendResponse(await getReview(request.id));
+        break;
+      case "saveReview":
+        sendResponse(await saveReview(request.id, request.dataUrl, request.annotation));
+        break;
+      default:
+        await cancelReview(request.id);
+        sendResponse({ success: true });
+    }
+  } catch (error) {
+    sendResponse({ success: false, message: error.message });
+  }
+}
+
+// Handler for the uploads page. Every action answers with the queue, without
+// the files. retryUpload without an id retries all failed uploads.
+async function handleUploadRequest(request, sendResponse) {
+  try {
+    switch (request.action) {
+      case "retryUpload":
+        await retryUploads(request.id);
+        break;
+      case "deleteUpload":
+        await deleteUpload(request.id);
+        break;
+    }
+    sendResponse({ success: true, uploads: await getUploadStatus() });
+  } catch (error) {
     sendResponse({ success: false, message: error.message });
   }
 }
 
-// Main capture function for both full page and visible screenshots
-async function captureScreenshot(fullPage = true, saveAs = true, useDownloadsFolder = false) {
+// Get saveAs/useDownloadsFolder flags and the destinations from the stored
+// destination preference
+async function getSaveOptions() {
+  const settings = await getSettings();
+
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['saveDestination'], (result) => {
+      const destination = result.saveDestination || 'select';
+      const saveAs = destination === 'select';
+      const useDownloadsFolder = destination === 'downloads';
+      resolve({
+        saveAs: saveAs,
+        useDownloadsFolder: useDownloadsFolder,
+        destinations: getDestinations(settings, saveAs, useDownloadsFolder, destination === 'clipboard')
+      });
+    });
+  });
+}
+
+// Save an image exported by the comparison page like a capture, with its
+// integrity sidecar and the details of the compared captures
+async function saveComparison(request) {
+  const createdAt = new Date();
+  const saveOptions = await getSaveOptions();
+  const metadata = {
+    url: request.comparison.after.url,
+    title: chrome.i18n.getMessage('compareTitle'),
+    mode: 'comparison',
+    timestamp: formatHeaderDate(createdAt),
+    timestampIso: createdAt.toISOString(),
+    extensionVersion: chrome.runtime.getManifest().version,
+    format: 'png',
+    comparison: request.comparison
+  };
+
+  const dataUrl = addPngTextChunksToDataUrl(request.dataUrl, buildPngTextEntries(metadata, createdAt));
+  return await deliverScreenshot(dataUrlToBlob(dataUrl), saveOptions.destinations, metadata);
+}
+
+// Whether captures made without the user, which never show the save dialog,
+// go to the downloads folder rather than the last folder used
+async function useDownloadsFolderUnattended() {
+  const saveOptions = await getSaveOptions();
+  return saveOptions.saveAs || saveOptions.useDownloadsFolder;
+}
+
+// Inject an overlay letting the user select an area or element on the page.
+// Properties of globals are set on the page window first, to configure it.
+async function startPageSelection(file, globals = {}) {
+  const tabs = await getActiveTabs();
+
+  if (!tabs || tabs.length === 0) {
+    throw new Error(chrome.i18n.getMessage('noActiveTab'));
+  }
+
+  await chrome.scripting.executeScript({
+    target: { tabId: tabs[0].id },
+    func: (globals) => Object.assign(window, globals),
+    args: [globals]
+  });
+
+  await chrome.scripting.executeScript({
+    target: { tabId: tabs[0].id },
+    files: [file]
+  });
+}
+
+// Capture methods by mode
+const CAPTURE_VISIBLE = 'visible';
+const CAPTURE_FULL = 'full';
+const CAPTURE_REGION = 'region';
+const CAPTURE_ELEMENT = 'element';
+
+const CAPTURE_METHODS = {
+  [CAPTURE_VISIBLE]: captureVisiblePageScreenshot,
+  [CAPTURE_FULL]: captureFullPageScreenshot,
+  [CAPTURE_REGION]: captureFullPageScreenshot,
+  [CAPTURE_ELEMENT]: captureFullPageScreenshot
+};
+
+// Main capture function for every capture mode. options.tab overrides the
+// active tab, options.settingsOverrides the stored settings and
+// options.destinations the download set by saveAs and useDownloadsFolder, or
+// the clipboard with options.clipboard; other options are passed to the
+// capture method. Every capture, successful or not, is added to the audit log.
+async function captureScreenshot(mode = CAPTURE_FULL, saveAs = true, useDownloadsFolder = false, options = {}) {
+  let tab = options.tab;
+
   try {
-    const tabs = await getActiveTabs();
+    if (!tab) {
+      const tabs = await getActiveTabs();
+
+      if (!tabs || tabs.length === 0) {
+        throw new Error(chrome.i18n.getMessage('noActiveTab'));
+      }
+
+      tab = tabs[0];
+    }
+
+    const settings = Object.assign(await getSettings(), options.settingsOverrides);
+    let destinations = options.destinations || getDestinations(settings, saveAs, useDownloadsFolder, options.clipboard);
+    let captureMethod = CAPTURE_METHODS[mode];
+    const warnings = [];
+
+    // Load lazy content before measuring the page, as it may grow
+    let preparation = null;
+    if (mode === CAPTURE_FULL && settings.prepareFullPage) {
+      preparation = await preparePage(tab, settings);
+      if (!preparation.settled) {
+        warnings.push(chrome.i18n.getMessage('pageNotSettled', [String(settings.settleTimeout)]));
+      }
+    }
+
+    const dimensions = await getPageDimensions(tab);
+    const capturedAt = new Date();
+    const metadata = buildCaptureMetadata(tab, mode, dimensions, capturedAt);
+    // Last audit log entry before the capture, so that the log cannot be cut
+    // or rewritten before it without disagreeing with the saved files
+    metadata.auditLog = await getAuditHead();
+    if (preparation) {
+      metadata.preparation = preparation;
+    }
+    const headerLines = [];
+
+    if (mode === CAPTURE_REGION) {
+      metadata.region = options.region;
+      headerLines.push(chrome.i18n.getMessage('regionHeaderLine', [
+        String(options.region.x),
+        String(options.region.y),
+        String(options.region.width),
+        String(options.region.height)
+      ]));
+    }
+
+    if (mode === CAPTURE_ELEMENT) {
+      metadata.region = options.region;
+      metadata.selector = options.selector;
+      headerLines.push(chrome.i18n.getMessage('elementHeaderLine', [options.selector]));
+    }
+
+    // Content scrolling inside an element rather than in the document
+    let expandedHeight = dimensions.height;
+    if (mode === CAPTURE_FULL && (options.containerSelector || settings.detectScrollContainer)) {
+      const container = await findScrollContainer(tab, options.containerSelector);
+
+      if (container) {
+        // The page was scrolled to load lazy content, the container is too
+        if (preparation) {
+          const containerPreparation = await preparePage(tab, settings, true);
+          preparation.container = containerPreparation;
+          if (!containerPreparation.settled && preparation.settled) {
+            warnings.push(chrome.i18n.getMessage('pageNotSettled', [String(settings.settleTimeout)]));
+          }
+          container.scrollHeight = await measureScrollContainer(tab, container.rect);
+        }
+
+        captureMethod = captureScrollContainerScreenshot;
+        options = Object.assign({}, options, { container });
+        expandedHeight = dimensions.viewportHeight + container.scrollHeight - container.rect.height;
+        metadata.scrollContainer = container;
+        headerLines.push(chrome.i18n.getMessage('containerHeaderLine', [
+          container.selector,
+          String(container.scrollHeight)
+        ]));
+      } else if (options.containerSelector) {
+        throw new Error(chrome.i18n.getMessage('containerNotScrollable'));
+      }
+    }
+
+    // Server time from the HTTP Date header of the document
+    const serverResponse = await getServerResponse(tab);
+    if (serverResponse) {
+      metadata.serverResponse = serverResponse;
+      if (settings.showServerTime) {
+        headerLines.push(formatServerTimeLine(serverResponse));
+      }
+    }
 
-    if (!tabs || tabs.length === 0) {
-      throw new Error(chrome.i18n.getMessage('noActiveTab'));
+    // Redaction applied in the page before each tile
+    const redaction = getRedactionRules(settings);
+    if (redaction) {
+      metadata.redaction = { automatic: redaction };
+      headerLines.push(chrome.i18n.getMessage('autoRedactedHeaderLine', [
+        chrome.i18n.getMessage('redactionBlackedOut')
+      ]));
+    }
+
+    metadata.format = OUTPUT_FORMATS[settings.outputFormat] ? settings.outputFormat : 'png';
+
+    // Keep the canvas within the browser limits
+    const area = mode === CAPTURE_VISIBLE
+      ? { x: 0, y: 0, width: dimensions.viewportWidth, height: dimensions.viewportHeight }
+      : (options.region || {
+        x: 0,
+        y: 0,
+        width: options.container ? dimensions.viewportWidth : dimensions.width,
+        height: expandedHeight
+      });
+    const plan = planCanvas(area, getExportScale(settings, dimensions.devicePixelRatio), mode !== CAPTURE_VISIBLE);
+    metadata.scale = plan.scale;
+
+    if (plan.scaleReduced) {
+      warnings.push(chrome.i18n.getMessage('scaleReduced', [String(Math.round(plan.scale * 100) / 100)]));
+    }
+
+    // Page source for evidence bundles, taken before the page is prepared
+    if (plan.segments.length === 1 && destinations.some(destination => destination.type === 'bundle')) {
+      let snapshot = null;
+      try {
+        snapshot = await capturePageSnapshot(tab);
+      } catch (error) {
+        console.error("Page snapshot failed:", error);
+        warnings.push(chrome.i18n.getMessage('pageSnapshotFailed', [error.message]));
+      }
+      destinations = destinations.map(destination =>
+        destination.type === 'bundle' ? Object.assign({}, destination, { snapshot }) : destination
+      );
     }
 
-    const tab = tabs[0];
-    const captureMethod = fullPage ? captureFullPageScreenshot : captureVisiblePageScreenshot;
-    const canvas = await captureMethod(tab);
-    const canvasWithHeader = await addHeaderToScreenshot(canvas, tab);
-    const screenshotDataUrl = canvasWithHeader.toDataURL('image/png');
+    let result;
+    if (plan.segments.length === 1) {
+      const canvas = await captureMethod(tab, Object.assign({}, options, { scale: plan.scale, settings }));
 
-    return await saveScreenshot(screenshotDataUrl, saveAs, useDownloadsFolder, tab.url);
+      if (settings.reviewBeforeSave) {
+        result = await reviewCapture({
+          canvas, tab, capturedAt, headerLines, settings, metadata, destinations
+        });
+        warnings.push(...result.warnings);
+        delete result.warnings;
+      } else {
+        const output = await renderScreenshot(canvas, tab, capturedAt, headerLines, settings, metadata);
+        result = await deliverScreenshot(output.blob, destinations, metadata, output.sidecars);
+        warnings.push(...output.warnings);
+      }
+    } else {
+      result = await captureInParts(
+        tab, captureMethod, options, plan, capturedAt, headerLines, settings, metadata, destinations
+      );
+      warnings.push(...result.warnings);
+      delete result.warnings;
+    }
+
+    if (warnings.length > 0) {
+      result.warning = warnings.join('; ');
+    }
+    await logCapture(Object.assign({ url: tab.url, mode: mode }, result), result);
+    return result;
   } catch (error) {
     console.error(chrome.i18n.getMessage('captureFailure', [error.message]), error);
-    return { success: false, message: error.message };
+    const result = { success: false, message: error.message };
+    await logCapture({ url: tab ? tab.url : '', mode: mode, success: false, message: error.message }, result);
+    return result;
+  }
+}
+
+// Append a capture to the audit log. When it cannot be recorded, the user is
+// told with the warning of the capture result, or its message on failure.
+async function logCapture(details, result) {
+  if (await appendAuditEntry(details)) {
+    return;
+  }
+
+  const note = chrome.i18n.getMessage('auditLogFailed');
+  if (result.success) {
+    result.warning = result.warning ? result.warning + '; ' + note : note;
+  } else {
+    result.message = (result.message ? result.message + '; ' : '') + note;
+  }
+}
+
+// Render the final file, requesting a trusted timestamp when enabled. On TSA
+// failure the file is rendered again without the timestamp notice.
+// Returns { blob, sidecars, warnings }.
+async function renderScreenshot(canvas, tab, capturedAt, headerLines, settings, metadata) {
+  if (!settings.tsaEnabled || !settings.tsaUrl) {
+    const blob = await encodeScreenshot(canvas, tab, capturedAt, headerLines, settings, metadata);
+    return { blob, sidecars: [], warnings: [] };
+  }
+
+  const tsaHost = getUrlHost(settings.tsaUrl);
+  const blob = await encodeScreenshot(
+    canvas, tab, capturedAt,
+    headerLines.concat([chrome.i18n.getMessage('tsaHeaderLine', [tsaHost])]),
+    settings, metadata
+  );
+
+  try {
+    const digest = await sha256Digest(blob);
+    const timestamp = await requestTimestampToken(settings.tsaUrl, digest);
+
+    metadata.trustedTimestamp = {
+      tsaUrl: settings.tsaUrl,
+      genTime: timestamp.genTime,
+      serialNumber: timestamp.serialNumber
+    };
+
+    return {
+      blob,
+      sidecars: [{
+        blob: new Blob([timestamp.response], {type: 'application/timestamp-reply'}),
+        extension: '.tsr'
+      }],
+      warnings: []
+    };
+  } catch (error) {
+    // Keep the screenshot, without claiming a timestamp it does not have
+    console.error("Trusted timestamp request failed:", error);
+    return {
+      blob: await encodeScreenshot(canvas, tab, capturedAt, headerLines, settings, metadata),
+      sidecars: [],
+      warnings: [chrome.i18n.getMessage('tsaFailed', [error.message])]
+    };
+  }
+}
+
+// Browser canvas limits. Firefox refuses canvases larger than 32767 pixels on a
+// side, and large allocations fail well before the theoretical area limit.
+const MAX_CANVAS_DIMENSION = 32767;
+const MAX_CANVAS_AREA = 120000000;
+
+// Height kept free for the header, in CSS pixels
+const HEADER_RESERVE = 400;
+
+// Plan the canvas for an area (CSS pixels) at the requested scale. The width
+// cannot be split, so the scale is lowered when it does not fit. When the
+// height does not fit, the area is split into vertical segments if allowed,
+// otherwise the scale is lowered too.
+// Returns { scale, scaleReduced, segments: [{ x, y, width, height }] }.
+function planCanvas(area, requestedScale, splittable) {
+  let scale = Math.min(requestedScale, (MAX_CANVAS_DIMENSION - 1) / area.width);
+
+  const maxHeight = () => Math.min(MAX_CANVAS_DIMENSION, Math.floor(MAX_CANVAS_AREA / (area.width * scale))) -
+    HEADER_RESERVE * scale;
+
+  if (!splittable && (area.height * scale) > maxHeight()) {
+    scale = Math.min(
+      scale * maxHeight() / (area.height * scale),
+      Math.sqrt(MAX_CANVAS_AREA / (area.width * (area.height + HEADER_RESERVE)))
+    );
+  }
+
+  const segmentHeight = Math.max(Math.floor(maxHeight() / scale), 1);
+  const segments = [];
+
+  for (let y = area.y; y < area.y + area.height; y += segmentHeight) {
+    segments.push({
+      x: area.x,
+      y: y,
+      width: area.width,
+      height: Math.min(segmentHeight, area.y + area.height - y)
+    });
+  }
+
+  return { scale, scaleReduced: scale < requestedScale, segments };
+}
+
+// Capture an area too large for one canvas as numbered parts, each saved as a
+// separate file with the header, plus an index file listing the parts. Parts
+// are always downloaded, with the save dialog unless a download was requested.
+async function captureInParts(tab, captureMethod, options, plan, capturedAt, headerLines, settings, metadata, destinations) {
+  const count = plan.segments.length;
+  const warnings = [chrome.i18n.getMessage('savedInParts', [String(count)])];
+  const parts = [];
+  let firstPart = null;
+
+  // Parts are downloaded separately rather than bundled
+  const partDestinations = destinations
+    .filter(destination => destination.type !== 'clipboard')
+    .map(destination => destination.type === 'bundle' ? Object.assign({}, destination, { type: 'download' }) : destination);
+  if (destinations.some(destination => destination.type === 'bundle')) {
+    warnings.push(chrome.i18n.getMessage('partsNotBundled'));
+  }
+  // The editor works on one image, parts are saved without review
+  if (settings.reviewBeforeSave) {
+    warnings.push(chrome.i18n.getMessage('partsNotReviewed'));
+  }
+  if (!partDestinations.some(destination => destination.type === 'download')) {
+    partDestinations.unshift({ type: 'download', saveAs: true, useDownloadsFolder: false });
+    warnings.push(chrome.i18n.getMessage('partsNotCopied'));
+  }
+
+  for (let i = 0; i < count; i++) {
+    const segment = plan.segments[i];
+    const partMetadata = Object.assign({}, metadata, {
+      part: { index: i + 1, count: count, region: segment }
+    });
+    const partLines = headerLines.concat([
+      chrome.i18n.getMessage('partHeaderLine', [String(i + 1), String(count), String(segment.y), String(segment.y + segment.height)])
+    ]);
+
+    const canvas = await captureMethod(tab, Object.assign({}, options, { region: segment, scale: plan.scale, settings }));
+    const output = await renderScreenshot(canvas, tab, capturedAt, partLines, settings, partMetadata);
+    const result = await deliverScreenshot(output.blob, partDestinations, partMetadata, output.sidecars, firstPart);
+    if (!result.success) {
+      throw new Error(result.message);
+    }
+
+    if (!firstPart) {
+      firstPart = result;
+    }
+    // Parts are named as saved, which may differ from the requested name, and
+    // relative to the index saved next to them
+    parts.push({ index: i + 1, file: result.filename.split('/').pop(), sha256: result.sha256, region: segment });
+    warnings.push(...output.warnings);
+  }
+
+  // Index of all parts, saved next to the first one
+  const index = Object.assign({}, metadata, { parts: parts });
+  await saveSidecarFile(
+    new Blob([JSON.stringify(index, null, 2)], {type: 'application/json'}),
+    '-index.json',
+    firstPart.target,
+    partSuffix(1, count)
+  );
+
+  return {
+    success: true,
+    downloadId: firstPart.downloadId,
+    sha256: firstPart.sha256,
+    filename: firstPart.filename,
+    parts: count,
+    warnings
+  };
+}
+
+// Ratio between output pixels and CSS pixels: 1x, the device pixel ratio
+// (native resolution on HiDPI screens) or a fixed scale
+function getExportScale(settings, devicePixelRatio) {
+  if (settings.exportScale === '1x') {
+    return 1;
+  }
+  if (settings.exportScale === 'fixed') {
+    return Math.min(Math.max(Number(settings.exportScaleValue) || 1, 0.25), 4);
+  }
+  return devicePixelRatio || 1;
+}
+
+// Output formats by setting value
+const OUTPUT_FORMATS = {
+  png: { mimeType: 'image/png', extension: '.png' },
+  jpeg: { mimeType: 'image/jpeg', extension: '.jpg' },
+  webp: { mimeType: 'image/webp', extension: '.webp' },
+  pdf: { mimeType: 'application/pdf', extension: '.pdf' }
+};
+
+// Add the header to the captured canvas and encode it in the output format.
+// Tiles are always captured as PNG so that lossy compression is applied only once.
+async function encodeScreenshot(canvas, tab, capturedAt, extraLines, settings, metadata) {
+  if (metadata.format === 'pdf') {
+    return buildPdfScreenshot(canvas, tab, capturedAt, extraLines, settings, metadata);
   }
+
+  const canvasWithHeader = await addHeaderToScreenshot(canvas, tab, capturedAt, extraLines, settings, metadata.scale);
+  // Recorded so that comparisons can leave the header out
+  metadata.header = {
+    position: settings.headerPosition === 'bottom' ? 'bottom' : 'top',
+    height: canvasWithHeader.height - canvas.height
+  };
+
+  if (metadata.format === 'png') {
+    return dataUrlToBlob(addPngTextChunksToDataUrl(
+      canvasWithHeader.toDataURL('image/png'),
+      buildPngTextEntries(metadata, capturedAt)
+    ));
+  }
+
+  return dataUrlToBlob(canvasWithHeader.toDataURL(OUTPUT_FORMATS[metadata.format].mimeType, settings.outputQuality));
+}
+
+// Collect the capture details recorded in the integrity sidecar
+function buildCaptureMetadata(tab, mode, dimensions, capturedAt) {
+  return {
+    url: tab.url,
+    title: tab.title || "",
+    mode: mode,
+    viewport: {
+      width: dimensions.viewportWidth,
+      height: dimensions.viewportHeight
+    },
+    page: {
+      width: dimensions.width,
+      height: dimensions.height,
+      devicePixelRatio: dimensions.devicePixelRatio
+    },
+    timestamp: formatHeaderDate(capturedAt),
+    timestampIso: capturedAt.toISOString(),
+    extensionVersion: chrome.runtime.getManifest().version
+  };
 }
 
-// Capture entire page by scrolling and stitching
-async function captureFullPageScreenshot(tab) {
+// Map capture details to PNG text chunk keywords
+function buildPngTextEntries(metadata, capturedAt) {
+  const serverResponse = metadata.serverResponse || {};
+
+  return {
+    'Title': metadata.title,
+    'URL': metadata.url,
+    'Creation Time': formatIsoDate(capturedAt),
+    'Capture Mode': metadata.mode,
+    'Server Date': serverResponse.date,
+    'HTTP Status': serverResponse.statusCode,
+    'Clock Skew': serverResponse.clockSkewSeconds,
+    'Audit Log Head': metadata.auditLog ? `${metadata.auditLog.seq} ${metadata.auditLog.hash}` : undefined,
+    // Read by the comparison page for images without their sidecar
+    'Header Position': metadata.header ? metadata.header.position : undefined,
+    'Header Height': metadata.header ? metadata.header.height : undefined,
+    'Software': `StampShot ${metadata.extensionVersion}`
+  };
+}
+
+// Capture entire page, or options.region in page coordinates
+// ({ x, y, width, height }), by scrolling and stitching.
+// The canvas is options.scale times larger than the page in CSS pixels.
+// Fixed elements are shown according to options.settings.fixedElements.
+async function captureFullPageScreenshot(tab, options = {}) {
   try {
     const dimensions = await getPageDimensions(tab);
-    const { width, height } = dimensions;
+    const area = options.region || { x: 0, y: 0, width: dimensions.width, height: dimensions.height };
+    const scale = options.scale || 1;
+    const settings = options.settings || DEFAULT_SETTINGS;
+    const redaction = getRedactionRules(settings);
+
+    // Real viewport size in CSS pixels
+    const viewportWidth = dimensions.viewportWidth;
+    const viewportHeight = dimensions.viewportHeight;
 
     const canvas = document.createElement('canvas');
     const ctx = canvas.getContext('2d');
-    canvas.width = width;
-    canvas.height = height;
+    canvas.width = Math.round(area.width * scale);
+    canvas.height = Math.round(area.height * scale);
 
     await saveScrollPosition(tab);
+    await preparePageElements(tab, settings, true);
 
-    let currentX = 0;
-    let currentY = 0;
+    let currentX = area.x;
+    let currentY = area.y;
     let isFirstCapture = true;
 
-    // Capture screenshot sections by scrolling through the page
-    while (currentX < width) {
-      currentY = 0;
+    // Capture screenshot sections by scrolling through the area
+    while (currentX < area.x + area.width) {
+      currentY = area.y;
+
+      while (currentY < area.y + area.height) {
+        const isLastCapture = currentX + viewportWidth >= area.x + area.width &&
+          currentY + viewportHeight >= area.y + area.height;
+
+        await setFixedElementsVisible(tab,
+          (settings.fixedElements === FIXED_FIRST && isFirstCapture) ||
+          (settings.fixedElements === FIXED_LAST && isLastCapture)
+        );
+        isFirstCapture = false;
 
-      while (currentY < height) {
         await scrollTo(tab, currentX, currentY);
         await new Promise(resolve => setTimeout(resolve, 100));
+        if (redaction) {
+          await redactPageElements(tab);
+        }
 
         const scrollpos = await getScrollPosition(tab);
 
-        // Hide UI elements after first capture
-        if (!isFirstCapture) {
-          await hideFixedElementsAndScrollbars(tab);
-        }
-        isFirstCapture = false;
-
         currentX = scrollpos.x;
         currentY = scrollpos.y;
 
-        const dataUrl = await captureVisiblePart();
+        const dataUrl = await captureVisiblePart(tab);
         const img = await loadImage(dataUrl);
 
-        const viewportWidth = tab.width;
-        const viewportHeight = tab.height;
-
-        // Draw the captured section to the canvas
+        // Draw the captured section to the canvas, relative to the area origin
         ctx.drawImage(
           img,
           0, 0,
           img.width, img.height,
-          currentX, currentY,
-          viewportWidth, viewportHeight
+          (currentX - area.x) * scale, (currentY - area.y) * scale,
+          viewportWidth * scale, viewportHeight * scale
         );
 
-        currentY += tab.height;
+        currentY += viewportHeight;
       }
 
-      currentX += tab.width;
+      currentX += viewportWidth;
     }
 
     // Restore page state
-    await restoreFixedElementsAndScrollbars(tab);
+    await restorePageElements(tab);
     await restoreScrollPosition(tab);
 
     return canvas;
@@ -139,7 +819,7 @@ async function captureFullPageScreenshot(tab) {
     console.error(chrome.i18n.getMessage('captureFailure', [error.message]), error);
     try {
       // Attempt to restore page state on error
-      await restoreFixedElementsAndScrollbars(tab);
+      await restorePageElements(tab);
       await restoreScrollPosition(tab);
     } catch (e) {
       console.error("Failed to restore page state:", e);
@@ -148,20 +828,125 @@ async function captureFullPageScreenshot(tab) {
   }
 }
 
-// Capture only the visible part of the page
-async function captureVisiblePageScreenshot(tab) {
+// Capture a page whose content scrolls inside an element (options.container,
+// from findScrollContainer) by scrolling that element and stitching its content.
+// The result is the viewport as if the container were expanded to its full
+// height: the page around it appears once, above and below its content.
+// options.region is an area of this expanded page.
+async function captureScrollContainerScreenshot(tab, options) {
+  const dimensions = await getPageDimensions(tab);
+  const container = options.container;
+  const rect = container.rect;
+  const extraHeight = container.scrollHeight - rect.height;
+  const area = options.region ||
+    { x: 0, y: 0, width: dimensions.viewportWidth, height: dimensions.viewportHeight + extraHeight };
+  const scale = options.scale || 1;
+
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  canvas.width = Math.round(area.width * scale);
+  canvas.height = Math.round(area.height * scale);
+
+  // Page beside the expanded container has nothing to show
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  // Draw part of a viewport capture (CSS pixels) at a position of the expanded page
+  const drawPart = (img, x, y, width, height, destY) => {
+    const ratio = img.width / dimensions.viewportWidth;
+    ctx.drawImage(
+      img,
+      x * ratio, y * ratio, width * ratio, height * ratio,
+      (x - area.x) * scale, (destY - area.y) * scale, width * scale, height * scale
+    );
+  };
+
+  try {
+    // Fixed elements are left as they are: the page around the container,
+    // fixed or not, is drawn from the first and last captures
+    const settings = options.settings || DEFAULT_SETTINGS;
+    await preparePageElements(tab, settings, true);
+
+    // Content rows of the container within the area
+    const firstRow = Math.max(area.y - rect.y, 0);
+    const lastRow = Math.min(area.y + area.height - rect.y, container.scrollHeight);
+    let scrollTop = firstRow;
+    let previousTop = -1;
+    let img;
+
+    // Containers may stop short of the requested position (scroll snapping,
+    // virtualized rows, content shrinking), the loop then ends early
+    const maxTiles = Math.ceil((lastRow - firstRow) / rect.height) + 1;
+    let tiles = 0;
+
+    do {
+      const actualTop = await scrollContainerTo(tab, scrollTop);
+      if (actualTop <= previousTop) {
+        break;
+      }
+      previousTop = actualTop;
+      tiles++;
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+      if (getRedactionRules(settings)) {
+        await redactPageElements(tab);
+      }
+      img = await loadImage(await captureVisiblePart(tab));
+
+      if (actualTop === 0) {
+        // Page above and beside the container
+        drawPart(img, 0, 0, dimensions.viewportWidth, rect.y + rect.height, 0);
+      } else {
+        drawPart(img, rect.x, rect.y, rect.width, rect.height, rect.y + actualTop);
+      }
+
+      scrollTop = actualTop + rect.height;
+    } while (scrollTop < lastRow && tiles < maxTiles);
+
+    // Page below the container
+    const bottom = rect.y + rect.height;
+    drawPart(img, 0, bottom, dimensions.viewportWidth, dimensions.viewportHeight - bottom, bottom + extraHeight);
+
+    return canvas;
+  } catch (error) {
+    console.error(chrome.i18n.getMessage('captureFailure', [error.message]), error);
+    throw error;
+  } finally {
+    await restorePageElements(tab);
+    await restoreScrollContainer(tab);
+  }
+}
+
+// Capture only the visible part of the page, options.scale times larger
+// than the viewport in CSS pixels
+async function captureVisiblePageScreenshot(tab, options = {}) {
   try {
-    const dataUrl = await captureVisiblePart();
+    const dimensions = await getPageDimensions(tab);
+    const scale = options.scale || 1;
+    const settings = options.settings || DEFAULT_SETTINGS;
+
+    let dataUrl;
+    if (settings.suppressOverlays || getRedactionRules(settings)) {
+      await preparePageElements(tab, settings, false);
+      try {
+        await new Promise(resolve => setTimeout(resolve, 100));
+        dataUrl = await captureVisiblePart(tab);
+      } finally {
+        await restorePageElements(tab);
+      }
+    } else {
+      dataUrl = await captureVisiblePart(tab);
+    }
     const img = await loadImage(dataUrl);
 
     // Create canvas with viewport dimensions
     const canvas = document.createElement('canvas');
     const ctx = canvas.getContext('2d');
-    canvas.width = tab.width;
-    canvas.height = tab.height;
+    canvas.width = Math.round(dimensions.viewportWidth * scale);
+    canvas.height = Math.round(dimensions.viewportHeight * scale);
 
     // Draw the captured image
-    ctx.drawImage(img, 0, 0, img.width, img.height, 0, 0, tab.width, tab.height);
+    ctx.drawImage(img, 0, 0, img.width, img.height, 0, 0, canvas.width, canvas.height);
 
     return canvas;
   } catch (error) {
@@ -239,12 +1024,123 @@ function downloadFile(url, filename, saveAs = true, useDownloadsFolder = false)
   });
 }
 
+// Scroll through the whole page to trigger lazy loading and infinite scrolling
+// (growing the page at most settings.maxScrollExpansions times), then wait
+// until images are loaded and network requests and DOM changes have stopped,
+// for settings.settleTimeout seconds at most. The scroll position is restored.
+// With inContainer, the container found by findScrollContainer is scrolled
+// instead of the page.
+// Returns { settled, expansions, duration } with duration in milliseconds.
+async function preparePage(tab, settings, inContainer = false) {
+  const func = async (timeout, maxExpansions, inContainer) => {
+    const QUIET_DELAY = 500;
+    const startTime = Date.now();
+    const deadline = startTime + timeout;
+    const container = inContainer ? window._stampshotScrollContainer : null;
+    const startX = window.scrollX;
+    const startY = container ? container.scrollTop : window.scrollY;
+    const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+    const pageHeight = () => container
+      ? container.scrollHeight
+      : Math.max(document.documentElement.scrollHeight, document.body.scrollHeight);
+    const viewHeight = () => container ? container.clientHeight : window.innerHeight;
+    const scrollToY = (y) => {
+      if (container) {
+        container.scrollTop = y;
+      } else {
+        window.scrollTo(startX, y);
+      }
+    };
+
+    let lastChange = Date.now();
+    const observer = new MutationObserver(() => {
+      lastChange = Date.now();
+    });
+    // Animations and carousels change styles and classes all the time, only
+    // new content and lazily loaded sources are waited for
+    observer.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['src', 'srcset']
+    });
+
+    // Network activity is seen through new resource timing entries
+    let resourceCount = performance.getEntriesByType('resource').length;
+    const networkChanged = () => {
+      const count = performance.getEntriesByType('resource').length;
+      const changed = count !== resourceCount;
+      resourceCount = count;
+      return changed;
+    };
+
+    // Wait until nothing changes for QUIET_DELAY, or until the deadline
+    const waitForQuiet = async () => {
+      while (Date.now() < deadline) {
+        if (networkChanged()) {
+          lastChange = Date.now();
+        }
+        const pendingImages = Array.from(document.images).some(img =>
+          !img.complete && img.getClientRects().length > 0);
+
+        if (!pendingImages && Date.now() - lastChange >= QUIET_DELAY) {
+          return true;
+        }
+        await sleep(100);
+      }
+      return false;
+    };
+
+    let expansions = 0;
+    let y = 0;
+
+    try {
+      scrollToY(0);
+
+      while (Date.now() < deadline) {
+        const height = pageHeight();
+        y += viewHeight();
+        scrollToY(y);
+        await sleep(150);
+
+        if (y + viewHeight() < pageHeight()) {
+          continue;
+        }
+
+        // At the bottom: infinite scrolling pages load more content here
+        await waitForQuiet();
+        if (pageHeight() <= height || expansions >= maxExpansions) {
+          break;
+        }
+        expansions++;
+      }
+
+      scrollToY(startY);
+      const settled = await waitForQuiet();
+      return { settled, expansions, duration: Date.now() - startTime };
+    } finally {
+      observer.disconnect();
+      scrollToY(startY);
+    }
+  };
+
+  const [result] = await chrome.scripting.executeScript({
+    target: { tabId: tab.id },
+    func: func,
+    args: [settings.settleTimeout * 1000, settings.maxScrollExpansions, inContainer]
+  });
+
+  return result.result;
+}
+
 // Get page dimensions for screenshot
 async function getPageDimensions(tab) {
   const func = () => {
     return {
       width: Math.max(document.documentElement.scrollWidth, document.body.scrollWidth),
       height: Math.max(document.documentElement.scrollHeight, document.body.scrollHeight),
+      viewportWidth: window.innerWidth,
+      viewportHeight: window.innerHeight,
       devicePixelRatio: window.devicePixelRatio || 1
     };
   };
@@ -319,35 +1215,420 @@ async function scrollTo(tab, x, y) {
   return result ? result.result : null;
 }
 
-// Hide fixed elements and scrollbars for clean screenshots
-async function hideFixedElementsAndScrollbars(tab) {
-  const func = () => {
-    if (!window._originalScrollbarStyles) {
-      window._originalScrollbarStyles = {};
-      window._originalScrollbarStyles.html = document.documentElement.style.cssText;
-      window._originalScrollbarStyles.body = document.body.style.cssText;
+// Find the element in which the page content scrolls: the one matching
+// selector, or else the largest scrollable element when the document itself
+// does not scroll. Returns { selector, rect, scrollHeight } with rect the visible
+// part of its content box in viewport coordinates, or null.
+async function findScrollContainer(tab, selector) {
+  const func = (selector) => {
+    const isScrollable = (el) => {
+      const style = window.getComputedStyle(el);
+      return ['auto', 'scroll', 'overlay'].includes(style.overflowY) && el.scrollHeight > el.clientHeight + 1;
+    };
 
-      document.documentElement.style.overflow = 'hidden';
-      document.body.style.overflow = 'hidden';
+    // Content box of an element clipped to the viewport
+    const visibleRect = (el) => {
+      const rect = el.getBoundingClientRect();
+      const left = Math.max(Math.round(rect.left + el.clientLeft), 0);
+      const top = Math.max(Math.round(rect.top + el.clientTop), 0);
+      const right = Math.min(Math.round(rect.left + el.clientLeft + el.clientWidth), window.innerWidth);
+      const bottom = Math.min(Math.round(rect.top + el.clientTop + el.clientHeight), window.innerHeight);
+      return { x: left, y: top, width: Math.max(right - left, 0), height: Math.max(bottom - top, 0) };
+    };
 
-      window._fixedElements = [];
+    let container = null;
+    let description = selector;
+
+    if (selector) {
+      container = document.querySelector(selector);
+    } else {
+      const pageHeight = Math.max(document.documentElement.scrollHeight, document.body.scrollHeight);
+      if (pageHeight > window.innerHeight + 1) {
+        return null;
+      }
+
+      // Ignore small widgets: the container must cover a quarter of the viewport
+      let largestArea = window.innerWidth * window.innerHeight / 4;
+      document.querySelectorAll('body *').forEach(el => {
+        if (el.clientHeight === 0 || !isScrollable(el)) {
+          return;
+        }
+        const rect = visibleRect(el);
+        if (rect.width * rect.height > largestArea) {
+          largestArea = rect.width * rect.height;
+          container = el;
+        }
+      });
+
+      if (container) {
+        description = container.localName + (container.id ? '#' + container.id : '') +
+          Array.from(container.classList).slice(0, 2).map(name => '.' + name).join('');
+      }
     }
 
-    document.querySelectorAll('*').forEach(el => {
-      const style = window.getComputedStyle(el);
+    if (!container || !isScrollable(container)) {
+      return null;
+    }
 
-      if (style.position === 'fixed' && style.display !== 'none') {
-        const isAlreadyStored = window._fixedElements.some(
-          item => item.element === el
-        );
-        if (!isAlreadyStored) {
-          window._fixedElements.push({
-            element: el,
-            originalDisplay: style.display,
-            originalPosition: style.position
+    const rect = visibleRect(container);
+    if (rect.height === 0 || rect.width === 0) {
+      return null;
+    }
+
+    window._stampshotScrollContainer = container;
+    window._originalContainerScrollTop = container.scrollTop;
+
+    // Content rows hidden below the viewport cannot be scrolled into view
+    const hiddenHeight = Math.max(container.clientHeight - rect.height, 0);
+    return { selector: description, rect: rect, scrollHeight: container.scrollHeight - hiddenHeight };
+  };
+
+  const [result] = await chrome.scripting.executeScript({
+    target: { tabId: tab.id },
+    func: func,
+    args: [selector || null]
+  });
+
+  return result.result;
+}
+
+// Content height of the container found by findScrollContainer, measured again
+// after its lazy content was loaded. rect is its visible part.
+async function measureScrollContainer(tab, rect) {
+  const func = (visibleHeight) => {
+    const container = window._stampshotScrollContainer;
+    return container.scrollHeight - Math.max(container.clientHeight - visibleHeight, 0);
+  };
+
+  const [result] = await chrome.scripting.executeScript({
+    target: { tabId: tab.id },
+    func: func,
+    args: [rect.height]
+  });
+
+  return result.result;
+}
+
+// Scroll the container found by findScrollContainer, returning its actual position
+async function scrollContainerTo(tab, y) {
+  const func = (y) => {
+    const container = window._stampshotScrollContainer;
+    container.scrollTop = y;
+    return container.scrollTop;
+  };
+
+  const [result] = await chrome.scripting.executeScript({
+    target: { tabId: tab.id },
+    func: func,
+    args: [y]
+  });
+
+  return Math.round(result.result);
+}
+
+async function restoreScrollContainer(tab) {
+  const func = () => {
+    const container = window._stampshotScrollContainer;
+    if (container) {
+      container.scrollTop = window._originalContainerScrollTop;
+    }
+    delete window._stampshotScrollContainer;
+    delete window._originalContainerScrollTop;
+  };
+
+  await chrome.scripting.executeScript({
+    target: { tabId: tab.id },
+    func: func
+  });
+}
+
+// When fixed elements (headers, banners, buttons) are shown in stitched captures
+const FIXED_FIRST = 'first';
+const FIXED_LAST = 'last';
+const FIXED_NEVER = 'never';
+
+// Selectors of the overlays to suppress, one per line in the settings
+function getSuppressSelectors(settings) {
+  if (!settings.suppressOverlays) {
+    return [];
+  }
+  return settings.suppressSelectors.split('\n').map(line => line.trim()).filter(line => line !== '');
+}
+
+// Automatic redaction mode
+const REDACT_BLACK = 'black';
+
+// What automatic redaction hides, or null when it is off
+function getRedactionRules(settings) {
+  if (settings.redactionMode !== REDACT_BLACK) {
+    return null;
+  }
+  return {
+    mode: REDACT_BLACK,
+    fields: settings.redactFields,
+    patterns: settings.redactPatterns,
+    selectors: settings.redactSelectors.split('\n').map(line => line.trim()).filter(line => line !== '')
+  };
+}
+
+// Prepare the page for a capture. Elements matching the suppression selectors
+// are hidden. When stitching, scrollbars are hidden, sticky elements are made
+// static so that they appear once at their place, and fixed elements are
+// looked for, in shadow DOM too, to be shown or hidden with
+// setFixedElementsVisible. Inline styles are saved to be restored exactly.
+// With redaction rules, sensitive fields, text, elements and frames are
+// blacked out, again before each tile with redactPageElements.
+async function preparePageElements(tab, settings, stitching) {
+  const func = (suppressSelectors, stitching, redaction) => {
+    if (window._stampshotSavedStyles) {
+      return true;
+    }
+
+    const savedStyles = new Map();
+    const saveStyle = (el) => {
+      if (!savedStyles.has(el)) {
+        savedStyles.set(el, el.getAttribute('style'));
+      }
+    };
+
+    // The document and all open shadow roots
+    const getRoots = () => {
+      const roots = [document];
+      for (let i = 0; i < roots.length; i++) {
+        roots[i].querySelectorAll('*').forEach(el => {
+          if (el.shadowRoot) {
+            roots.push(el.shadowRoot);
+          }
+        });
+      }
+      return roots;
+    };
+
+    const roots = getRoots();
+
+    suppressSelectors.forEach(selector => {
+      roots.forEach(root => {
+        let matches = [];
+        try {
+          matches = root.querySelectorAll(selector);
+        } catch (e) {
+          console.warn("Invalid suppression selector:", selector);
+        }
+        matches.forEach(el => {
+          saveStyle(el);
+          el.style.setProperty('display', 'none', 'important');
+        });
+      });
+    });
+
+    if (stitching) {
+      [document.documentElement, document.body].forEach(el => {
+        saveStyle(el);
+        el.style.setProperty('overflow', 'hidden', 'important');
+      });
+
+      roots.forEach(root => {
+        root.querySelectorAll('*').forEach(el => {
+          const position = window.getComputedStyle(el).position;
+          if (position === 'sticky' || position === '-webkit-sticky') {
+            saveStyle(el);
+            el.style.setProperty('position', 'static', 'important');
+          }
+        });
+      });
+
+      // Fixed elements may appear while scrolling, so they are looked for each time
+      const fixedElements = new Set();
+      window._stampshotFindFixedElements = () => {
+        getRoots().forEach(root => {
+          root.querySelectorAll('*').forEach(el => {
+            if (fixedElements.has(el)) {
+              return;
+            }
+            const style = window.getComputedStyle(el);
+            if (style.position === 'fixed' && style.display !== 'none') {
+              saveStyle(el);
+              fixedElements.add(el);
+            }
           });
+        });
+        return fixedElements;
+      };
+    }
+
+    if (redaction) {
+      // Card numbers must pass the Luhn check, IBANs the mod 97 check
+      const isCardNumber = (text) => {
+        const digits = text.replace(/\D/g, '');
+        let sum = 0;
+        for (let i = 0; i < digits.length; i++) {
+          let digit = Number(digits[digits.length - 1 - i]);
+          if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) {
+              digit -= 9;
+            }
+          }
+          sum += digit;
+        }
+        return digits.length >= 13 && sum % 10 === 0;
+      };
+      const isIban = (text) => {
+        const iban = text.replace(/ /g, '').toUpperCase();
+        const numeric = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, c => String(c.charCodeAt(0) - 55));
+        let remainder = 0;
+        for (const digit of numeric) {
+          remainder = (remainder * 10 + Number(digit)) % 97;
+        }
+        return remainder === 1;
+      };
+      const patterns = [
+        { regex: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, check: () => true },
+        { regex: /\b\d(?:[ -]?\d){12,18}\b/g, check: isCardNumber },
+        { regex: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g, check: isIban }
+      ];
+      const findMatches = (text) => {
+        const matches = [];
+        patterns.forEach(pattern => {
+          for (const match of text.matchAll(pattern.regex)) {
+            if (pattern.check(match[0])) {
+              matches.push({ start: match.index, end: match.index + match[0].length });
+            }
+          }
+        });
+        return matches.sort((a, b) => a.start - b.start)
+          .filter((match, i, all) => i === 0 || match.start >= all[i - 1].end);
+      };
+
+      const fieldSelector = 'input[type="password"], [autocomplete^="cc-"], input[name*="iban" i], input[name*="cardnumber" i]';
+      // The rules cannot be applied inside frames, so frames are hidden whole
+      const frameSelector = 'iframe, frame, object, embed';
+      const redactedElements = new Set();
+      // Text nodes split around the matches, with the nodes that replace them
+      const splitTexts = [];
+
+      // Opaque black: the element and its content are painted black
+      const hide = (el) => {
+        saveStyle(el);
+        el.style.setProperty('background', '#000', 'important');
+        el.style.setProperty('filter', 'brightness(0)', 'important');
+      };
+
+      const redactText = (root) => {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        while (walker.nextNode()) {
+          const parent = walker.currentNode.parentElement;
+          if (parent && !parent.closest('script, style, noscript, textarea, [data-stampshot-redacted]')) {
+            nodes.push(walker.currentNode);
+          }
         }
-        el.style.display = 'none';
+
+        nodes.forEach(node => {
+          const matches = findMatches(node.data);
+          if (matches.length === 0) {
+            return;
+          }
+
+          const pieces = [];
+          let position = 0;
+          matches.forEach(match => {
+            pieces.push(document.createTextNode(node.data.slice(position, match.start)));
+            const span = document.createElement('span');
+            span.dataset.stampshotRedacted = '';
+            span.textContent = node.data.slice(match.start, match.end);
+            pieces.push(span);
+            redactedElements.add(span);
+            position = match.end;
+          });
+          pieces.push(document.createTextNode(node.data.slice(position)));
+
+          node.replaceWith(...pieces);
+          splitTexts.push({ node, pieces });
+        });
+      };
+
+      // New content may appear while scrolling, so the page is scanned each time.
+      // Styles are applied again, as showing fixed elements restores them.
+      window._stampshotRedact = () => {
+        getRoots().forEach(root => {
+          const selectors = redaction.selectors.concat([frameSelector]);
+          if (redaction.fields) {
+            selectors.push(fieldSelector);
+          }
+          selectors.forEach(selector => {
+            try {
+              root.querySelectorAll(selector).forEach(el => redactedElements.add(el));
+            } catch (e) {
+              console.warn("Invalid redaction selector:", selector);
+            }
+          });
+
+          if (redaction.patterns) {
+            root.querySelectorAll('input, textarea').forEach(el => {
+              if (findMatches(el.value || '').length > 0) {
+                redactedElements.add(el);
+              }
+            });
+            redactText(root);
+          }
+        });
+
+        redactedElements.forEach(hide);
+        return redactedElements.size;
+      };
+      window._stampshotSplitTexts = splitTexts;
+      window._stampshotRedact();
+    }
+
+    window._stampshotSavedStyles = savedStyles;
+    return true;
+  };
+
+  const [result] = await chrome.scripting.executeScript({
+    target: { tabId: tab.id },
+    func: func,
+    args: [getSuppressSelectors(settings), stitching, getRedactionRules(settings)]
+  });
+
+  return result.result;
+}
+
+// Apply the redaction rules of preparePageElements to the content now shown
+async function redactPageElements(tab) {
+  const func = () => {
+    if (!window._stampshotRedact) {
+      return false;
+    }
+    window._stampshotRedact();
+    return true;
+  };
+
+  const [result] = await chrome.scripting.executeScript({
+    target: { tabId: tab.id },
+    func: func
+  });
+
+  return result.result;
+}
+
+// Show or hide the fixed elements found by preparePageElements
+async function setFixedElementsVisible(tab, visible) {
+  const func = (visible) => {
+    if (!window._stampshotFindFixedElements) {
+      return false;
+    }
+
+    window._stampshotFindFixedElements().forEach(el => {
+      if (visible) {
+        const style = window._stampshotSavedStyles.get(el);
+        if (style === null) {
+          el.removeAttribute('style');
+        } else {
+          el.setAttribute('style', style);
+        }
+      } else {
+        el.style.setProperty('display', 'none', 'important');
       }
     });
 
@@ -356,31 +1637,37 @@ async function hideFixedElementsAndScrollbars(tab) {
 
   const [result] = await chrome.scripting.executeScript({
     target: { tabId: tab.id },
-    func: func
+    func: func,
+    args: [visible]
   });
 
   return result.result;
 }
 
-async function restoreFixedElementsAndScrollbars(tab) {
+// Restore the inline styles and text changed by preparePageElements
+async function restorePageElements(tab) {
   const func = () => {
-    if (window._originalScrollbarStyles) {
-      document.documentElement.style.cssText = window._originalScrollbarStyles.html;
-      document.body.style.cssText = window._originalScrollbarStyles.body;
-
-      if (window._fixedElements && window._fixedElements.length > 0) {
-        window._fixedElements.forEach(item => {
-          if (item.element) {
-            item.element.display = item.originalDisplay;
-            item.element.position = item.originalPosition;
-          }
-        });
-      }
+    if (window._stampshotSplitTexts) {
+      window._stampshotSplitTexts.forEach(({ node, pieces }) => {
+        pieces[0].before(node);
+        pieces.forEach(piece => piece.remove());
+      });
+    }
 
-      delete window._originalScrollbarStyles;
-      delete window._fixedElements;
+    if (window._stampshotSavedStyles) {
+      window._stampshotSavedStyles.forEach((style, el) => {
+        if (style === null) {
+          el.removeAttribute('style');
+        } else {
+          el.setAttribute('style', style);
+        }
+      });
     }
 
+    delete window._stampshotSavedStyles;
+    delete window._stampshotFindFixedElements;
+    delete window._stampshotRedact;
+    delete window._stampshotSplitTexts;
     return true;
   };
 
@@ -392,16 +1679,23 @@ async function restoreFixedElementsAndScrollbars(tab) {
   return result.result;
 }
 
-// Capture visible part of the tab
-function captureVisiblePart() {
+// Capture visible part of the tab. Tabs in the background, such as those
+// opened by batch captures, can only be captured with tabs.captureTab.
+function captureVisiblePart(tab) {
   return new Promise((resolve, reject) => {
-    chrome.tabs.captureVisibleTab(null, {format: "png"}, (dataUrl) => {
+    const callback = (dataUrl) => {
       if (chrome.runtime.lastError) {
         reject(new Error(chrome.runtime.lastError.message));
         return;
       }
       resolve(dataUrl);
-    });
+    };
+
+    if (!tab.active && chrome.tabs.captureTab) {
+      chrome.tabs.captureTab(tab.id, {format: "png"}, callback);
+    } else {
+      chrome.tabs.captureVisibleTab(tab.windowId, {format: "png"}, callback);
+    }
   });
 }
 
@@ -415,77 +1709,6 @@ function loadImage(dataUrl) {
   });
 }
 
-// Add header with URL and date to screenshot
-async function addHeaderToScreenshot(canvas, tab) {
-  const defaultFont = await getDefaultFont(tab);
-  const headerHeight = 50;
-  const newCanvas = document.createElement('canvas');
-  const ctx = newCanvas.getContext('2d');
-
-  // Set new canvas dimensions
-  newCanvas.width = canvas.width;
-  newCanvas.height = canvas.height + headerHeight;
-
-  // Fill header background
-  ctx.fillStyle = '#f1f1f1';
-  ctx.fillRect(0, 0, newCanvas.width, headerHeight);
-  ctx.strokeStyle = '#cccccc';
-  ctx.lineWidth = 1;
-  ctx.strokeRect(0, 0, newCanvas.width, headerHeight);
-
-  // Configure text style
-  ctx.fillStyle = '#333333';
-  ctx.font = defaultFont;
-
-  // Format date
-  const now = new Date();
-  const pad = (num) => num.toString().padStart(2, '0');
-
-  // Format timezone offset
-  const tzOffset = now.getTimezoneOffset();
-  const tzOffsetHours = Math.abs(Math.floor(tzOffset / 60));
-  const tzOffsetMinutes = Math.abs(tzOffset % 60);
-  const tzOffsetSign = tzOffset <= 0 ? '+' : '-';
-  const tzOffsetFormatted = `${tzOffsetSign}${pad(tzOffsetHours)}:${pad(tzOffsetMinutes)}`;
-
-  // Format date as YYYY-MM-DD HH:MM:SS +/-HH:MM
-  const date = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())} ${pad(now.getHours())}:${pad(now.getMinutes())}:${pad(now.getSeconds())} ${tzOffsetFormatted}`;
-
-  // Calculate available width
-  const padding = 20;
-  const availableWidth = newCanvas.width - padding;
-
-  // Truncate URL if needed
-  const urlText = tab.url;
-  const urlWidth = ctx.measureText(urlText).width;
-
-  let displayUrl = urlText;
-  if (urlWidth > availableWidth) {
-    let truncatedUrl = urlText;
-    const ellipsis = "...";
-    const ellipsisWidth = ctx.measureText(ellipsis).width;
-
-    while (ctx.measureText(truncatedUrl).width + ellipsisWidth > availableWidth && truncatedUrl.length > 0) {
-      truncatedUrl = truncatedUrl.substring(0, truncatedUrl.length - 1);
-    }
-
-    displayUrl = truncatedUrl + ellipsis;
-  }
-
-  // Calculate line height
-  const fontSize = parseInt(defaultFont.match(/\d+/)[0]) || 14;
-  const lineHeight = fontSize + 4;
-
-  // Draw URL and date
-  ctx.fillText(displayUrl, 10, lineHeight);
-  ctx.fillText(date, 10, lineHeight * 2);
-
-  // Draw the original screenshot
-  ctx.drawImage(canvas, 0, headerHeight);
-
-  return newCanvas;
-}
-
 // Convert data URL to Blob for download
 function dataUrlToBlob(dataUrl) {
   const byteString = atob(dataUrl.split(',')[1]);
@@ -500,68 +1723,54 @@ function dataUrlToBlob(dataUrl) {
   return new Blob([ab], {type: mimeString});
 }
 
-// Clean URL for valid filename
-function cleanUrlForFilename(url, maxLength = 100) {
+// Get the host name of a URL, or the URL itself if it cannot be parsed
+function getUrlHost(url) {
   try {
-    // Extract domain from URL
-    let hostname = "";
-    try {
-      const urlObj = new URL(url);
-      hostname = urlObj.hostname;
-
-      // Add path if present, limit length
-      if (urlObj.pathname && urlObj.pathname !== "/") {
-        let path = urlObj.pathname.replace(/^\//, "");
-        // Limit total length
-        const availableLength = maxLength - hostname.length - 1;
-        if (availableLength > 3 && path.length > availableLength) {
-          path = path.substring(0, availableLength);
-        }
-        hostname += "_" + path;
-      }
-    } catch (e) {
-      // If URL parsing fails, use raw URL
-      hostname = url;
-    }
-
-    // Clean URL for a valid filename
-    let cleanUrl = hostname
-      .replace(/^www\./, "")                    // Remove www.
-      .replace(/[^a-zA-Z0-9_\-.]/g, "_")       // Replace special chars with underscores
-      .replace(/_{2,}/g, "_")                  // Reduce consecutive underscores
-      .replace(/^_+|_+$/g, "");                // Remove leading/trailing underscores
-
-    // Limit total length
-    if (cleanUrl.length > maxLength) {
-      cleanUrl = cleanUrl.substring(0, maxLength);
-    }
-
-    return cleanUrl;
+    return new URL(url).host;
   } catch (e) {
-    console.error("Error cleaning URL for filename:", e);
-    return "webpage";
+    return url;
   }
 }
 
-// Save screenshot to downloads folder
-async function saveScreenshot(dataUrl, saveAs = true, useDownloadsFolder = false, url = "") {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  const day = String(now.getDate()).padStart(2, '0');
-  const hours = String(now.getHours()).padStart(2, '0');
-  const minutes = String(now.getMinutes()).padStart(2, '0');
+// File name suffix of the parts of a segmented capture
+function partSuffix(index, count) {
+  return `-part${index}of${count}`;
+}
 
-  const cleanUrl = cleanUrlForFilename(url);
-  const filename = `screenshot-${year}${month}${day}-${hours}${minutes}-${cleanUrl}.png`;
+// Save screenshot file (Blob) to downloads folder, followed by its integrity
+// sidecar and any additional sidecar files ({ blob, extension }).
+// For the parts of a segmented capture after the first one, firstPart is the
+// result of saving the first part, and files are saved next to it.
+async function saveScreenshot(blob, saveAs = true, useDownloadsFolder = false, metadata = {}, sidecars = [], firstPart = null, sha256 = null) {
+  const settings = await getSettings();
+  sha256 = sha256 || await sha256Hex(blob);
+  const format = OUTPUT_FORMATS[metadata.format] || OUTPUT_FORMATS.png;
+  const suffix = metadata.part ? partSuffix(metadata.part.index, metadata.part.count) : '';
+
+  // Files are named after the screenshot (target), adding prefix and removing
+  // stripSuffix from its base name
+  let target;
+  let prefix = '';
+  let stripSuffix = '';
+
+  if (firstPart) {
+    target = firstPart.target;
+    prefix = suffix;
+    stripSuffix = partSuffix(1, metadata.part.count);
+  }
+
+  const filename = firstPart
+    ? target.filename.replace(/\.[^.\/]+$/, '').replace(stripSuffix, '') + suffix + format.extension
+    : buildScreenshotPath(settings, await buildFilenameValues(settings, metadata, sha256), suffix + format.extension);
 
-  const blob = dataUrlToBlob(dataUrl);
   const blobUrl = URL.createObjectURL(blob);
 
   try {
     let downloadId;
 
-    if (useDownloadsFolder) {
+    if (firstPart) {
+      downloadId = await saveSidecarFile(blob, prefix + format.extension, target, stripSuffix);
+    } else if (useDownloadsFolder) {
       // Use default downloads folder
       downloadId = await downloadFile(blobUrl, filename, false, true);
     } else {
@@ -569,7 +1778,21 @@ async function saveScreenshot(dataUrl, saveAs = true, useDownloadsFolder = false
       downloadId = await downloadFile(blobUrl, filename, saveAs, false);
     }
 
-    return { success: true, downloadId };
+    // The browser may have renamed the file, as "x(1).png" next to an existing "x.png"
+    const savedFilename = await getSavedFilename(downloadId, filename);
+    if (!firstPart) {
+      target = { downloadId, filename: savedFilename, saveAs, useDownloadsFolder };
+    }
+
+    const sidecar = Object.assign({ file: savedFilename, sha256: sha256 }, metadata);
+    const sidecarBlob = new Blob([JSON.stringify(sidecar, null, 2)], {type: 'application/json'});
+    await saveSidecarFile(sidecarBlob, prefix + '.json', target, stripSuffix);
+
+    for (const extraSidecar of sidecars) {
+      await saveSidecarFile(extraSidecar.blob, prefix + extraSidecar.extension, target, stripSuffix);
+    }
+
+    return { success: true, downloadId, sha256, filename: savedFilename, target };
   } catch (error) {
     console.error("Error saving screenshot:", error);
     throw error;
@@ -578,6 +1801,203 @@ async function saveScreenshot(dataUrl, saveAs = true, useDownloadsFolder = false
   }
 }
 
+// Size of the thumbnails kept in the history, longer captures are cropped
+const THUMBNAIL_WIDTH = 320;
+const THUMBNAIL_MAX_HEIGHT = 480;
+
+// Add a delivered capture to the history, with a thumbnail and, if enabled, a
+// copy of the file. saved holds the details of the download, if any.
+async function recordCapture(blob, metadata, saved) {
+  const settings = await getSettings();
+  if (!settings.historyEnabled) {
+    return;
+  }
+
+  const format = OUTPUT_FORMATS[metadata.format] || OUTPUT_FORMATS.png;
+  const id = await addHistoryEntry({
+    url: metadata.url || '',
+    title: metadata.title || '',
+    host: metadata.url ? getUrlHost(metadata.url) : '',
+    timestamp: metadata.timestampIso || new Date().toISOString(),
+    mode: metadata.mode,
+    format: metadata.format || 'png',
+    // Named after the image kept, also when it was saved in a bundle
+    filename: (saved.filename ? saved.filename.replace(/\.[^.\/]+$/, '') : 'capture') + format.extension,
+    path: '',
+    downloadId: saved.downloadId,
+    sha256: saved.sha256 || await sha256Hex(blob),
+    metadata: JSON.parse(JSON.stringify(metadata)),
+    thumbnail: await createThumbnail(blob),
+    file: settings.historyKeepFiles ? blob : null,
+    missing: false
+  });
+
+  await pruneHistory(settings.historyMaxEntries, settings.historyMaxDays);
+  await pruneHistoryFiles(settings.historyMaxFiles);
+
+  // Full path of the file, known once the download is complete
+  if (saved.downloadId !== undefined) {
+    waitForDownload(saved.downloadId)
+      .then(download => updateHistoryEntry(id, { path: download.filename }))
+      .catch(() => updateHistoryEntry(id, { missing: true }));
+  }
+}
+
+// Downloads keep the files named after the capture, with their sidecars
+registerDestination('download', (blob, metadata, sidecars, destination, delivered, firstPart) =>
+  saveScreenshot(blob, destination.saveAs, destination.useDownloadsFolder, metadata, sidecars, firstPart, delivered.sha256)
+);
+
+// Captures are added to the history once another destination received them
+registerDestination('history', async (blob, metadata, sidecars, destination, delivered) => {
+  if (delivered.destinations.some(item => item.success)) {
+    await recordCapture(blob, metadata, delivered);
+  }
+  return {};
+});
+
+// Small JPEG preview of an image file, or null for PDF files
+async function createThumbnail(blob) {
+  if (blob.type === 'application/pdf') {
+    return null;
+  }
+
+  const image = await createImageBitmap(blob);
+  const scale = Math.min(THUMBNAIL_WIDTH / image.width, 1);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(image.width * scale);
+  canvas.height = Math.min(Math.round(image.height * scale), THUMBNAIL_MAX_HEIGHT);
+  canvas.getContext('2d').drawImage(image, 0, 0, image.width * scale, image.height * scale);
+
+  return new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+}
+
+// Values of the filename template variables for a capture
+async function buildFilenameValues(settings, metadata, sha256) {
+  return {
+    url: metadata.url || "",
+    title: metadata.title,
+    mode: metadata.mode,
+    date: metadata.timestampIso ? new Date(metadata.timestampIso) : new Date(),
+    caseId: settings.caseId,
+    counter: await nextFilenameCounter(settings),
+    hash: sha256
+  };
+}
+
+// Captures saved at the same time, as in batches, take the counter one at a time
+let filenameCounterQueue = Promise.resolve();
+
+// Increment the capture counter when the filename templates use {counter}
+function nextFilenameCounter(settings) {
+  const templates = settings.filenameTemplate + settings.subfolderTemplate;
+
+  if (!/\{counter(:\d+)?\}/.test(templates)) {
+    return Promise.resolve(0);
+  }
+
+  const next = filenameCounterQueue.then(() => new Promise((resolve) => {
+    chrome.storage.local.get(['filenameCounter'], (result) => {
+      const counter = (result.filenameCounter || 0) + 1;
+      chrome.storage.local.set({ filenameCounter: counter }, () => resolve(counter));
+    });
+  }));
+  filenameCounterQueue = next;
+  return next;
+}
+
+// Save an additional file next to a saved screenshot, sharing its base name
+// (without stripSuffix, if given)
+async function saveSidecarFile(blob, extension, target, stripSuffix = '') {
+  const baseName = (name) => {
+    const base = name.replace(/\.[^.\/]+$/, '');
+    return stripSuffix && base.endsWith(stripSuffix) ? base.slice(0, -stripSuffix.length) : base;
+  };
+
+  let sidecarName = baseName(target.filename) + extension;
+  let useDownloadsFolder = target.useDownloadsFolder;
+
+  // With the saveAs dialog, follow the location and name the user picked
+  if (target.saveAs) {
+    const download = await waitForDownload(target.downloadId);
+    const downloadRoot = await getDownloadFolder();
+    let savedPath = download.filename;
+
+    // Keep the path relative to the downloads folder when possible,
+    // otherwise fall back to the last folder name as for "Current folder"
+    if (isInDownloadFolder(savedPath, downloadRoot)) {
+      savedPath = savedPath.substring(downloadRoot.length);
+    }
+
+    const parts = savedPath.split(/[\/\\]/).filter(part => part.trim() !== '');
+    const savedName = parts.pop();
+    const folderPath = isInDownloadFolder(download.filename, downloadRoot)
+      ? parts.join('/')
+      : (parts.pop() || '');
+
+    sidecarName = baseName(savedName) + extension;
+    if (folderPath) {
+      sidecarName = folderPath + '/' + sidecarName;
+    }
+    useDownloadsFolder = true;
+  }
+
+  const blobUrl = URL.createObjectURL(blob);
+
+  try {
+    return await downloadFile(blobUrl, sidecarName, false, useDownloadsFolder);
+  } finally {
+    URL.revokeObjectURL(blobUrl);
+  }
+}
+
+// Wait for a download to complete and return the path it was requested with,
+// with the file name it was saved with
+async function getSavedFilename(downloadId, filename) {
+  const download = await waitForDownload(downloadId);
+  const savedName = download.filename.split(/[\/\\]/).pop();
+  return filename.replace(/[^\/]*$/, savedName);
+}
+
+// Wait for a download to complete and return its download item
+function waitForDownload(downloadId) {
+  return new Promise((resolve, reject) => {
+    const check = () => {
+      chrome.downloads.search({id: downloadId}, (downloads) => {
+        if (!downloads || downloads.length === 0) {
+          finish(new Error("Download not found"));
+          return;
+        }
+
+        const download = downloads[0];
+        if (download.state === 'complete') {
+          finish(null, download);
+        } else if (download.state === 'interrupted') {
+          finish(new Error(download.error || "Download interrupted"));
+        }
+      });
+    };
+
+    const listener = (downloadDelta) => {
+      if (downloadDelta.id === downloadId && downloadDelta.state) {
+        check();
+      }
+    };
+
+    const finish = (error, download) => {
+      chrome.downloads.onChanged.removeListener(listener);
+      if (error) {
+        reject(error);
+      } else {
+        resolve(download);
+      }
+    };
+
+    chrome.downloads.onChanged.addListener(listener);
+    check();
+  });
+}
+
 // Get download folder path
 function getDownloadFolder() {
   return new Promise((resolve) => {
@@ -651,26 +2071,6 @@ function getDefaultDownloadsFolder() {
   });
 }
 
-// Get default font from the page
-async function getDefaultFont(tab) {
-  const func = () => {
-    const bodyStyles = window.getComputedStyle(document.body);
-    return bodyStyles.font || (bodyStyles.fontSize + ' ' + bodyStyles.fontFamily);
-  };
-
-  try {
-    const [result] = await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      func: func
-    });
-
-    return result.result || '14px Arial, sans-serif';
-  } catch (error) {
-    console.error("Error getting default font:", error);
-    return '14px Arial, sans-serif';
-  }
-}
-
 // Listen for download completion
 chrome.downloads.onChanged.addListener((downloadDelta) => {
   chrome.storage.local.get(['pendingDownloadId'], (result) => {
@@ -0,0 +1,231 @@
+// batch-runner.js - Capture a list of URLs one after the other in background tabs
+
+// Maximum time to wait for a page to load
+const BATCH_LOAD_TIMEOUT = 60000;
+
+// Batch in progress or last finished, shown on the batch page:
+// { mode, windowId, running, cancelled, items: [{ url, status, file, sha256, timestamp, warning, error }] }
+let currentBatch = null;
+
+// Start capturing urls with the given capture mode, in windowId
+function startBatch(urls, mode, windowId) {
+  if (currentBatch && currentBatch.running) {
+    throw new Error(chrome.i18n.getMessage('batchAlreadyRunning'));
+  }
+
+  currentBatch = {
+    mode: mode === CAPTURE_FULL ? CAPTURE_FULL : CAPTURE_VISIBLE,
+    windowId: windowId,
+    running: false,
+    cancelled: false,
+    items: urls.map(url => ({ url: url, status: 'pending' }))
+  };
+
+  runBatch(currentBatch);
+  return currentBatch;
+}
+
+// Run the failed and cancelled items of the last batch again
+function retryBatch() {
+  if (!currentBatch || currentBatch.running) {
+    throw new Error(chrome.i18n.getMessage('batchNothingToRetry'));
+  }
+
+  currentBatch.items.forEach(item => {
+    if (item.status === 'failed' || item.status === 'cancelled') {
+      Object.assign(item, { status: 'pending', error: undefined });
+    }
+  });
+  currentBatch.cancelled = false;
+
+  runBatch(currentBatch);
+  return currentBatch;
+}
+
+// Stop the batch after the current capture
+function cancelBatch() {
+  if (currentBatch && currentBatch.running) {
+    currentBatch.cancelled = true;
+  }
+  return currentBatch;
+}
+
+function getBatchStatus() {
+  return currentBatch;
+}
+
+// Send the batch state to the batch page, if it is open
+function notifyBatchProgress(batch) {
+  chrome.runtime.sendMessage({ action: 'batchProgress', batch: batch }, () => {
+    // No page listening
+    void chrome.runtime.lastError;
+  });
+}
+
+async function runBatch(batch) {
+  batch.running = true;
+  notifyBatchProgress(batch);
+
+  const useDownloadsFolder = await useDownloadsFolderUnattended();
+
+  for (const item of batch.items) {
+    if (item.status !== 'pending') {
+      continue;
+    }
+    if (batch.cancelled) {
+      item.status = 'cancelled';
+      continue;
+    }
+
+    item.status = 'running';
+    notifyBatchProgress(batch);
+
+    try {
+      const result = await captureUrl(item.url, batch.mode, batch.windowId, useDownloadsFolder);
+      Object.assign(item, {
+        status: result.success ? 'done' : 'failed',
+        file: result.filename,
+        sha256: result.sha256,
+        timestamp: result.timestamp,
+        warning: result.warning,
+        error: result.success ? undefined : result.message
+      });
+    } catch (error) {
+      Object.assign(item, { status: 'failed', error: error.message });
+    }
+
+    notifyBatchProgress(batch);
+  }
+
+  try {
+    batch.index = await saveBatchIndex(batch, useDownloadsFolder);
+  } catch (error) {
+    console.error("Error saving batch index:", error);
+  }
+
+  batch.running = false;
+  notifyBatchProgress(batch);
+}
+
+// Open url in a background tab, capture it once loaded, and close the tab.
+// options are passed to captureScreenshot.
+async function captureUrl(url, mode, windowId, useDownloadsFolder, options = {}) {
+  const tab = await createTab({ url: url, active: false, windowId: windowId });
+
+  try {
+    await waitForTabLoad(tab.id);
+    const loadedTab = await getTab(tab.id);
+    const timestamp = new Date().toISOString();
+    // Unattended captures are never held for review in the editor
+    const result = await captureScreenshot(mode, false, useDownloadsFolder, Object.assign({}, options, {
+      tab: loadedTab,
+      settingsOverrides: Object.assign({}, options.settingsOverrides, { reviewBeforeSave: false })
+    }));
+    result.timestamp = timestamp;
+    return result;
+  } finally {
+    chrome.tabs.remove(tab.id, () => void chrome.runtime.lastError);
+  }
+}
+
+// Save the list of captured files and outcomes as JSON and CSV files, next to
+// the first capture. Returns the name of the JSON file.
+async function saveBatchIndex(batch, useDownloadsFolder) {
+  const firstFile = batch.items.map(item => item.file).find(file => file);
+  const folder = firstFile && firstFile.includes('/') ? firstFile.replace(/\/[^/]*$/, '/') : '';
+  const basename = folder + 'batch-' + formatDatePattern(new Date(), 'YYYYMMDD-HHmmss');
+
+  const items = batch.items.map(item => ({
+    url: item.url,
+    status: item.status,
+    file: item.file || '',
+    sha256: item.sha256 || '',
+    timestamp: item.timestamp || '',
+    warning: item.warning || '',
+    error: item.error || ''
+  }));
+
+  const index = {
+    mode: batch.mode,
+    created: new Date().toISOString(),
+    extensionVersion: chrome.runtime.getManifest().version,
+    items: items
+  };
+
+  const columns = ['url', 'status', 'file', 'sha256', 'timestamp', 'warning', 'error'];
+  const csv = [columns.join(',')]
+    .concat(items.map(item => columns.map(column => csvField(item[column])).join(',')))
+    .join('\r\n') + '\r\n';
+
+  await downloadBlob(new Blob([JSON.stringify(index, null, 2)], {type: 'application/json'}), basename + '.json', useDownloadsFolder);
+  await downloadBlob(new Blob([csv], {type: 'text/csv'}), basename + '.csv', useDownloadsFolder);
+
+  return basename + '.json';
+}
+
+// Quote a CSV field when needed
+function csvField(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+async function downloadBlob(blob, filename, useDownloadsFolder) {
+  const blobUrl = URL.createObjectURL(blob);
+  try {
+    return await downloadFile(blobUrl, filename, false, useDownloadsFolder);
+  } finally {
+    URL.revokeObjectURL(blobUrl);
+  }
+}
+
+// Chrome API promise wrappers
+function createTab(properties) {
+  return new Promise((resolve, reject) => {
+    chrome.tabs.create(properties, (tab) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve(tab);
+    });
+  });
+}
+
+function getTab(tabId) {
+  return new Promise((resolve, reject) => {
+    chrome.tabs.get(tabId, (tab) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve(tab);
+    });
+  });
+}
+
+// Wait until a tab has finished loading
+function waitForTabLoad(tabId) {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      chrome.tabs.onUpdated.removeListener(listener);
+      reject(new Error(chrome.i18n.getMessage('batchLoadTimeout')));
+    }, BATCH_LOAD_TIMEOUT);
+
+    const listener = (updatedTabId, changeInfo) => {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') {
+        clearTimeout(timeout);
+        chrome.tabs.onUpdated.removeListener(listener);
+        resolve();
+      }
+    };
+
+    chrome.tabs.onUpdated.addListener(listener);
+
+    // The page may have loaded before the listener was added
+    chrome.tabs.get(tabId, (tab) => {
+      if (!chrome.runtime.lastError && tab.status === 'complete' && tab.url !== 'about:blank') {
+        listener(tabId, { status: 'complete' });
+      }
+    });
+  });
+}
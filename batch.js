@@ -0,0 +1,159 @@
+// batch.js - Batch capture page controller
+
+document.addEventListener('DOMContentLoaded', () => {
+  // UI Elements
+  const sourceWindow = document.getElementById('sourceWindow');
+  const sourceSelected = document.getElementById('sourceSelected');
+  const urlList = document.getElementById('urlList');
+  const captureMode = document.getElementById('captureMode');
+  const startBtn = document.getElementById('startBtn');
+  const cancelBtn = document.getElementById('cancelBtn');
+  const retryBtn = document.getElementById('retryBtn');
+  const summaryDiv = document.getElementById('summary');
+  const errorDiv = document.getElementById('error');
+  const itemsTable = document.getElementById('items');
+
+  // Window and selected tabs of the window the page was opened from
+  const params = new URLSearchParams(window.location.search);
+  const windowId = params.has('window') ? Number(params.get('window')) : undefined;
+  const selectedTabIds = (params.get('tabs') || '').split(',').filter(id => id !== '').map(Number);
+
+  let windowUrls = [];
+  let selectedUrls = [];
+
+  const STATUS_LABELS = {
+    pending: chrome.i18n.getMessage('batchStatusPending'),
+    running: chrome.i18n.getMessage('batchStatusRunning'),
+    done: chrome.i18n.getMessage('batchStatusDone'),
+    failed: chrome.i18n.getMessage('batchStatusFailed'),
+    cancelled: chrome.i18n.getMessage('batchStatusCancelled')
+  };
+
+  // Localization - Apply translations
+  document.querySelectorAll('[data-i18n]').forEach(element => {
+    const message = chrome.i18n.getMessage(element.dataset.i18n);
+    if (message) {
+      element.textContent = message;
+    }
+  });
+
+  // Only web pages and local files can be captured
+  function isCapturableUrl(url) {
+    try {
+      return ['http:', 'https:', 'file:'].includes(new URL(url).protocol);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function showError(message) {
+    errorDiv.textContent = message ? chrome.i18n.getMessage('error', [message]) : '';
+  }
+
+  // List the tabs that can be captured
+  chrome.tabs.query(windowId !== undefined ? { windowId: windowId } : { currentWindow: true }, (tabs) => {
+    const capturable = tabs.filter(tab => isCapturableUrl(tab.url));
+    windowUrls = capturable.map(tab => tab.url);
+    selectedUrls = capturable.filter(tab => selectedTabIds.includes(tab.id)).map(tab => tab.url);
+
+    document.getElementById('sourceWindowLabel').textContent =
+      chrome.i18n.getMessage('batchSourceWindow', [String(windowUrls.length)]);
+    document.getElementById('sourceSelectedLabel').textContent =
+      chrome.i18n.getMessage('batchSourceSelected', [String(selectedUrls.length)]);
+    sourceSelected.disabled = selectedUrls.length === 0;
+  });
+
+  // URLs of the selected source
+  function getUrls() {
+    if (sourceWindow.checked) {
+      return windowUrls;
+    }
+    if (sourceSelected.checked) {
+      return selectedUrls;
+    }
+    return urlList.value.split('\n').map(line => line.trim()).filter(isCapturableUrl);
+  }
+
+  // Show the progress and outcome of each capture
+  function render(batch) {
+    itemsTable.textContent = '';
+
+    if (!batch) {
+      return;
+    }
+
+    const count = (status) => batch.items.filter(item => item.status === status).length;
+    const done = count('done');
+    const failed = count('failed') + count('cancelled');
+
+    let summary = chrome.i18n.getMessage('batchSummary', [String(done), String(batch.items.length), String(failed)]);
+    if (!batch.running && batch.index) {
+      summary += ' ' + chrome.i18n.getMessage('batchIndexSaved', [batch.index]);
+    }
+    summaryDiv.textContent = summary;
+
+    batch.items.forEach(item => {
+      const row = itemsTable.insertRow();
+      row.className = item.status;
+      const statusCell = row.insertCell();
+      statusCell.className = 'status';
+      statusCell.textContent = STATUS_LABELS[item.status];
+
+      const urlCell = row.insertCell();
+      urlCell.textContent = item.url;
+      const detail = item.error || item.file;
+      if (detail) {
+        const detailDiv = document.createElement('div');
+        detailDiv.className = 'detail';
+        detailDiv.textContent = item.warning ? `${detail} (${item.warning})` : detail;
+        urlCell.appendChild(detailDiv);
+      }
+    });
+
+    startBtn.disabled = batch.running;
+    cancelBtn.disabled = !batch.running;
+    retryBtn.disabled = batch.running || failed === 0;
+  }
+
+  // Send a batch action to the background script and show the result
+  function sendBatchAction(message) {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        showError(chrome.runtime.lastError ? chrome.runtime.lastError.message : (response && response.message));
+        return;
+      }
+      showError(null);
+      render(response.batch);
+    });
+  }
+
+  startBtn.addEventListener('click', () => {
+    const urls = getUrls();
+    if (urls.length === 0) {
+      showError(chrome.i18n.getMessage('batchNoUrls'));
+      return;
+    }
+
+    // Background tabs can only be captured with access to all sites
+    chrome.permissions.request({ origins: ['<all_urls>'] }, (granted) => {
+      if (!granted) {
+        showError(chrome.i18n.getMessage('batchPermissionDenied'));
+        return;
+      }
+      sendBatchAction({ action: 'startBatch', urls: urls, mode: captureMode.value, windowId: windowId });
+    });
+  });
+
+  cancelBtn.addEventListener('click', () => sendBatchAction({ action: 'cancelBatch' }));
+  retryBtn.addEventListener('click', () => sendBatchAction({ action: 'retryBatch' }));
+
+  // Follow the progress of the batch
+  chrome.runtime.onMessage.addListener((request) => {
+    if (request.action === 'batchProgress') {
+      render(request.batch);
+    }
+  });
+
+  // Show the batch in progress, if any
+  sendBatchAction({ action: 'getBatchStatus' });
+});
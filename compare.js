@@ -0,0 +1,299 @@
+// compare.js - Visual comparison of two captures
+
+document.addEventListener('DOMContentLoaded', () => {
+  // UI Elements
+  const viewMode = document.getElementById('viewMode');
+  const opacityInput = document.getElementById('opacity');
+  const toleranceInput = document.getElementById('tolerance');
+  const exportBtn = document.getElementById('exportBtn');
+  const summaryDiv = document.getElementById('summary');
+  const errorDiv = document.getElementById('error');
+  const viewDiv = document.getElementById('view');
+
+  // Captures being compared: { image, name, url, timestamp, sha256, scale }
+  const sources = { before: null, after: null };
+
+  // Result of the last comparison, with the difference view marking the regions
+  let diffResult = null;
+  let markedCanvas = null;
+
+  // Localization - Apply translations
+  document.querySelectorAll('[data-i18n]').forEach(element => {
+    const message = chrome.i18n.getMessage(element.dataset.i18n);
+    if (message) {
+      element.textContent = message;
+    }
+  });
+
+  function showError(message) {
+    errorDiv.textContent = message ? chrome.i18n.getMessage('error', [message]) : '';
+  }
+
+  // Header recorded in the PNG text chunks of a capture, or null
+  function headerFromTextChunks(chunks) {
+    const height = Number(chunks['Header Height']);
+    if (!chunks['Header Height'] || !(height >= 0)) {
+      return null;
+    }
+    return { position: chunks['Header Position'] === 'bottom' ? 'bottom' : 'top', height: height };
+  }
+
+  // Set a capture from an image file and its optional sidecar. The URL and
+  // capture time come from the sidecar, or else from the PNG text chunks.
+  async function setSource(key, imageBlob, name, sidecar) {
+    const bytes = new Uint8Array(await imageBlob.arrayBuffer());
+    const chunks = isPng(bytes) ? readPngTextChunks(bytes) : {};
+    const sha256 = await sha256Hex(bytes);
+
+    sources[key] = {
+      image: await createImageBitmap(imageBlob),
+      name: name,
+      url: (sidecar && sidecar.url) || chunks['URL'] || '',
+      timestamp: (sidecar && sidecar.timestamp) || chunks['Creation Time'] || '',
+      sha256: sha256,
+      scale: (sidecar && sidecar.scale) || 1,
+      // Header rows left out of the comparison
+      header: (sidecar && sidecar.header) || headerFromTextChunks(chunks)
+    };
+
+    const info = document.getElementById(key === 'before' ? 'infoBefore' : 'infoAfter');
+    info.textContent = [name, sources[key].url, sources[key].timestamp].filter(line => line).join('\n');
+
+    if (sidecar && sidecar.sha256) {
+      info.textContent += '\n' + chrome.i18n.getMessage(
+        sidecar.sha256 === sha256 ? 'compareHashMatch' : 'compareHashMismatch'
+      );
+    }
+
+    compare();
+  }
+
+  // Sort selected files into image and sidecar
+  async function loadFiles(key, files) {
+    let imageFile = null;
+    let sidecar = null;
+
+    try {
+      for (const file of Array.from(files)) {
+        if (file.name.toLowerCase().endsWith('.json') || file.type === 'application/json') {
+          sidecar = JSON.parse(await file.text());
+        } else {
+          imageFile = file;
+        }
+      }
+
+      if (imageFile) {
+        showError(null);
+        await setSource(key, imageFile, imageFile.name, sidecar);
+      }
+    } catch (error) {
+      showError(error.message);
+    }
+  }
+
+  function compare() {
+    if (!sources.before || !sources.after) {
+      return;
+    }
+
+    diffResult = computeImageDiff(
+      sources.before.image, sources.after.image, Number(toleranceInput.value),
+      sources.before.header, sources.after.header
+    );
+
+    // Outline the change regions on the difference view
+    markedCanvas = document.createElement('canvas');
+    markedCanvas.width = diffResult.diffCanvas.width;
+    markedCanvas.height = diffResult.diffCanvas.height;
+    const ctx = markedCanvas.getContext('2d');
+    ctx.drawImage(diffResult.diffCanvas, 0, 0);
+    ctx.strokeStyle = '#1a73e8';
+    ctx.lineWidth = 2;
+    diffResult.regions.forEach(region => {
+      ctx.strokeRect(
+        region.x * diffResult.scale, region.y * diffResult.scale,
+        region.width * diffResult.scale, region.height * diffResult.scale
+      );
+    });
+
+    summaryDiv.textContent = summaryText();
+    exportBtn.disabled = false;
+    render();
+  }
+
+  function summaryText() {
+    return chrome.i18n.getMessage('compareSummary', [
+      diffResult.percent.toFixed(2),
+      String(diffResult.regions.length)
+    ]);
+  }
+
+  // Show the comparison in the selected view
+  function render() {
+    viewDiv.textContent = '';
+    viewDiv.className = viewMode.value;
+
+    if (!diffResult) {
+      return;
+    }
+
+    diffResult.canvasA.style.opacity = '';
+    diffResult.canvasB.style.opacity = '';
+
+    if (viewMode.value === 'diff') {
+      viewDiv.appendChild(markedCanvas);
+    } else {
+      viewDiv.appendChild(diffResult.canvasA);
+      viewDiv.appendChild(diffResult.canvasB);
+      if (viewMode.value === 'overlay') {
+        diffResult.canvasB.style.opacity = opacityInput.value;
+      }
+    }
+  }
+
+  // Draw the selected view on a single canvas
+  function buildViewCanvas() {
+    if (viewMode.value === 'diff') {
+      return markedCanvas;
+    }
+
+    const width = diffResult.canvasA.width;
+    const height = diffResult.canvasA.height;
+    const gap = viewMode.value === 'side' ? 8 : 0;
+    const canvas = document.createElement('canvas');
+    canvas.width = viewMode.value === 'side' ? width * 2 + gap : width;
+    canvas.height = height;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(diffResult.canvasA, 0, 0);
+
+    if (viewMode.value === 'side') {
+      ctx.drawImage(diffResult.canvasB, width + gap, 0);
+    } else {
+      ctx.globalAlpha = Number(opacityInput.value);
+      ctx.drawImage(diffResult.canvasB, 0, 0);
+    }
+
+    return canvas;
+  }
+
+  // Save the comparison as a new capture, with both sources in the header
+  async function exportComparison() {
+    exportBtn.disabled = true;
+
+    try {
+      const settings = await getSettings();
+      const createdAt = new Date();
+      const viewName = viewMode.options[viewMode.selectedIndex].textContent;
+      const sourceLine = (label, source) => chrome.i18n.getMessage('compareHeaderSource', [
+        label,
+        source.url || source.name,
+        source.timestamp || '-'
+      ]);
+
+      const lines = [
+        chrome.i18n.getMessage('compareHeaderTitle', [viewName, formatHeaderDate(createdAt)]),
+        sourceLine(chrome.i18n.getMessage('compareBefore'), sources.before),
+        sourceLine(chrome.i18n.getMessage('compareAfter'), sources.after),
+        summaryText()
+      ];
+
+      // The header only shows the lines above, in the configured style
+      const headerSettings = Object.assign({}, settings, {
+        headerTemplate: '',
+        headerFont: settings.headerFont || '14px Arial, sans-serif'
+      });
+      const canvas = await addHeaderToScreenshot(
+        buildViewCanvas(),
+        { url: sources.after.url, title: '' },
+        createdAt,
+        lines,
+        headerSettings,
+        sources.after.scale * diffResult.scale
+      );
+
+      const sourceDetails = (source) => ({
+        file: source.name,
+        url: source.url,
+        timestamp: source.timestamp,
+        sha256: source.sha256
+      });
+
+      chrome.runtime.sendMessage({
+        action: 'saveComparison',
+        dataUrl: canvas.toDataURL('image/png'),
+        comparison: {
+          view: viewMode.value,
+          tolerance: Number(toleranceInput.value),
+          changedPercent: Number(diffResult.percent.toFixed(4)),
+          regions: diffResult.regions,
+          before: sourceDetails(sources.before),
+          after: sourceDetails(sources.after)
+        }
+      }, (response) => {
+        exportBtn.disabled = false;
+        if (chrome.runtime.lastError || !response || !response.success) {
+          showError(chrome.runtime.lastError ? chrome.runtime.lastError.message : (response && response.message));
+          return;
+        }
+        showError(null);
+        summaryDiv.textContent = summaryText() + ' ' + chrome.i18n.getMessage('screenshotSaved');
+      });
+    } catch (error) {
+      exportBtn.disabled = false;
+      showError(error.message);
+    }
+  }
+
+  // File selection and drag and drop on each source
+  [['before', 'sourceBefore', 'inputBefore'], ['after', 'sourceAfter', 'inputAfter']].forEach(([key, zoneId, inputId]) => {
+    const zone = document.getElementById(zoneId);
+    const input = document.getElementById(inputId);
+
+    input.addEventListener('change', () => loadFiles(key, input.files));
+
+    zone.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      zone.classList.add('dragover');
+    });
+    zone.addEventListener('dragleave', () => zone.classList.remove('dragover'));
+    zone.addEventListener('drop', (e) => {
+      e.preventDefault();
+      zone.classList.remove('dragover');
+      loadFiles(key, e.dataTransfer.files);
+    });
+  });
+
+  viewMode.addEventListener('change', render);
+  opacityInput.addEventListener('input', () => {
+    if (viewMode.value === 'overlay' && diffResult) {
+      diffResult.canvasB.style.opacity = opacityInput.value;
+    }
+  });
+  toleranceInput.addEventListener('change', compare);
+  exportBtn.addEventListener('click', exportComparison);
+
+  // Captures selected in the history page, as ?before=<id>&after=<id>
+  async function loadFromHistory() {
+    const params = new URLSearchParams(window.location.search);
+
+    try {
+      for (const key of ['before', 'after']) {
+        if (!params.has(key)) {
+          continue;
+        }
+        const entry = await getHistoryEntry(Number(params.get(key)));
+        if (!entry || !entry.file) {
+          throw new Error(chrome.i18n.getMessage('historyEntryNotFound'));
+        }
+        await setSource(key, entry.file, entry.filename, Object.assign({ sha256: entry.sha256 }, entry.metadata));
+      }
+    } catch (error) {
+      showError(error.message);
+    }
+  }
+
+  loadFromHistory();
+});
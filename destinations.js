@@ -0,0 +1,84 @@
+// destinations.js - Targets receiving the rendered captures
+
+// Delivery functions by destination type, registered with registerDestination.
+// deliver(blob, metadata, sidecars, destination, delivered, firstPart) sends a
+// rendered file to the target described by destination ({ type, ...options })
+// and resolves with details merged into the capture result, or throws. A note
+// in the details is shown with the destination status instead.
+// delivered holds the details merged so far, from the destinations before it.
+const DESTINATIONS = {};
+
+function registerDestination(type, deliver) {
+  DESTINATIONS[type] = deliver;
+}
+
+// Destinations of a capture: a download, with the save dialog (saveAs), to the
+// last folder or to the downloads folder, saved as an evidence bundle when
+// enabled in the settings, or the clipboard instead. Captures are then
+// uploaded when enabled in the settings, and added to the history.
+function getDestinations(settings, saveAs, useDownloadsFolder, clipboard = false) {
+  const destinations = [clipboard
+    ? { type: 'clipboard' }
+    : { type: settings.evidenceBundle ? 'bundle' : 'download', saveAs: saveAs, useDownloadsFolder: useDownloadsFolder }];
+
+  if (settings.uploadEnabled && settings.uploadUrl) {
+    destinations.push({ type: 'upload' });
+  }
+  destinations.push({ type: 'history' });
+  return destinations;
+}
+
+// Send a rendered file to each destination in turn. A failure does not stop
+// the destinations after it. The capture succeeds when a destination other
+// than the history received it.
+// Resolves with the merged details, sha256 of the file, success, message on
+// failure, and destinations: [{ type, success, message, note }]. The hash is
+// computed here once, so that it is known whatever the destinations.
+async function deliverScreenshot(blob, destinations, metadata, sidecars = [], firstPart = null) {
+  const result = { destinations: [], sha256: await sha256Hex(blob) };
+
+  for (const destination of destinations) {
+    try {
+      const deliver = DESTINATIONS[destination.type];
+      if (!deliver) {
+        throw new Error(chrome.i18n.getMessage('destinationUnknown', [destination.type]));
+      }
+      const { note, ...details } = await deliver(blob, metadata, sidecars, destination, result, firstPart);
+      Object.assign(result, details);
+      result.destinations.push({ type: destination.type, success: true, note: note });
+    } catch (error) {
+      console.error(`Error sending capture to ${destination.type}:`, error);
+      result.destinations.push({ type: destination.type, success: false, message: error.message });
+    }
+  }
+
+  result.success = result.destinations.some(item => item.success && item.type !== 'history');
+  if (!result.success) {
+    result.message = result.destinations
+      .filter(item => !item.success)
+      .map(item => item.message)
+      .join('; ');
+  }
+  return result;
+}
+
+// Copy the image to the clipboard. The clipboard takes PNG and JPEG images,
+// WebP captures are copied as PNG.
+registerDestination('clipboard', async (blob, metadata) => {
+  if (metadata.format === 'pdf') {
+    throw new Error(chrome.i18n.getMessage('clipboardPdfUnsupported'));
+  }
+
+  let image = blob;
+  if (metadata.format === 'webp') {
+    const bitmap = await createImageBitmap(blob);
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    image = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+  }
+
+  await chrome.clipboard.setImageData(await image.arrayBuffer(), metadata.format === 'jpeg' ? 'jpeg' : 'png');
+  return {};
+});
@@ -0,0 +1,192 @@
+// element-picker.js - Overlay letting the user pick a DOM element to capture,
+// or with window._stampshotPickContainer set, a scrolling area to expand.
+// With window._stampshotPickTarget set to the target element id of a context
+// menu click, that element is captured without showing the overlay.
+
+(() => {
+  // Ignore repeated injections while a selection is in progress
+  if (window._stampshotElementPicker) {
+    return;
+  }
+  window._stampshotElementPicker = true;
+
+  const pickContainer = window._stampshotPickContainer === true;
+  const targetId = window._stampshotPickTarget;
+  delete window._stampshotPickContainer;
+  delete window._stampshotPickTarget;
+
+  const highlight = document.createElement('div');
+  highlight.style.cssText = 'position: absolute; z-index: 2147483647; pointer-events: none; ' +
+    'border: 2px solid #1a73e8; background: rgba(26, 115, 232, 0.15); box-sizing: border-box;';
+
+  const label = document.createElement('div');
+  label.style.cssText = 'position: fixed; z-index: 2147483647; pointer-events: none; ' +
+    'left: 8px; bottom: 8px; max-width: calc(100vw - 16px); padding: 4px 8px; border-radius: 4px; ' +
+    'background: #202124; color: #fff; font: 12px monospace; white-space: nowrap; ' +
+    'overflow: hidden; text-overflow: ellipsis;';
+
+  let current = null;
+  // Elements left when moving to a parent, to come back down the same path
+  let childPath = [];
+
+  // Build a CSS selector identifying the element in the document
+  function cssSelector(element) {
+    const parts = [];
+
+    while (element && element.nodeType === Node.ELEMENT_NODE) {
+      if (element.id && document.querySelectorAll('#' + CSS.escape(element.id)).length === 1) {
+        parts.unshift('#' + CSS.escape(element.id));
+        break;
+      }
+
+      let part = element.localName;
+      const parent = element.parentElement;
+      if (parent) {
+        const siblings = Array.from(parent.children).filter(child => child.localName === element.localName);
+        if (siblings.length > 1) {
+          part += `:nth-of-type(${siblings.indexOf(element) + 1})`;
+        }
+      }
+      parts.unshift(part);
+      element = parent;
+    }
+
+    return parts.join(' > ');
+  }
+
+  // Bounding box of the element in page coordinates, clamped to the page
+  function pageRect(element) {
+    const rect = element.getBoundingClientRect();
+    const pageWidth = Math.max(document.documentElement.scrollWidth, document.body.scrollWidth);
+    const pageHeight = Math.max(document.documentElement.scrollHeight, document.body.scrollHeight);
+    const left = Math.max(Math.floor(rect.left + window.scrollX), 0);
+    const top = Math.max(Math.floor(rect.top + window.scrollY), 0);
+    const right = Math.min(Math.ceil(rect.right + window.scrollX), pageWidth);
+    const bottom = Math.min(Math.ceil(rect.bottom + window.scrollY), pageHeight);
+
+    return { x: left, y: top, width: Math.max(right - left, 0), height: Math.max(bottom - top, 0) };
+  }
+
+  // Closest element, starting with element itself, whose content scrolls vertically
+  function scrollableAncestor(element) {
+    while (element && element !== document.body && element !== document.documentElement) {
+      const style = window.getComputedStyle(element);
+      if (['auto', 'scroll', 'overlay'].includes(style.overflowY) && element.scrollHeight > element.clientHeight + 1) {
+        return element;
+      }
+      element = element.parentElement;
+    }
+    return null;
+  }
+
+  function select(element, keepPath = false) {
+    if (pickContainer) {
+      element = scrollableAncestor(element);
+    }
+    if (!element || element === highlight || element === label) {
+      return;
+    }
+    if (!keepPath) {
+      childPath = [];
+    }
+
+    current = element;
+    const rect = pageRect(element);
+    highlight.style.left = rect.x + 'px';
+    highlight.style.top = rect.y + 'px';
+    highlight.style.width = rect.width + 'px';
+    highlight.style.height = rect.height + 'px';
+    label.textContent = `${cssSelector(element)}  (${rect.width}×${rect.height})`;
+  }
+
+  function cleanUp() {
+    highlight.remove();
+    label.remove();
+    document.removeEventListener('mousemove', onMouseMove, true);
+    document.removeEventListener('click', onClick, true);
+    document.removeEventListener('mousedown', blockEvent, true);
+    document.removeEventListener('mouseup', blockEvent, true);
+    document.removeEventListener('keydown', onKeyDown, true);
+    delete window._stampshotElementPicker;
+  }
+
+  function capture() {
+    if (!current) {
+      return;
+    }
+
+    const region = pageRect(current);
+    const selector = cssSelector(current);
+    cleanUp();
+
+    if (region.width === 0 || region.height === 0) {
+      return;
+    }
+
+    const message = pickContainer
+      ? { action: 'containerSelected', containerSelector: selector }
+      : { action: 'elementSelected', region, selector };
+
+    // Let the page repaint without the highlight before capturing
+    requestAnimationFrame(() => {
+      requestAnimationFrame(() => {
+        chrome.runtime.sendMessage(message);
+      });
+    });
+  }
+
+  function blockEvent(e) {
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
+  function onMouseMove(e) {
+    const element = document.elementFromPoint(e.clientX, e.clientY);
+    if (element !== current) {
+      select(element);
+    }
+  }
+
+  function onClick(e) {
+    blockEvent(e);
+    capture();
+  }
+
+  // Arrow up/down move to the parent/child element, Enter captures, Escape cancels
+  function onKeyDown(e) {
+    if (!['ArrowUp', 'ArrowDown', 'Enter', 'Escape'].includes(e.key)) {
+      return;
+    }
+    blockEvent(e);
+
+    if (e.key === 'Escape') {
+      cleanUp();
+    } else if (e.key === 'Enter') {
+      capture();
+    } else if (e.key === 'ArrowUp' && current && current.parentElement) {
+      const parent = pickContainer ? scrollableAncestor(current.parentElement) : current.parentElement;
+      if (parent) {
+        childPath.push(current);
+        select(parent, true);
+      }
+    } else if (e.key === 'ArrowDown' && current) {
+      select(childPath.pop() || current.firstElementChild, true);
+    }
+  }
+
+  // The target is not found in frames, the overlay is shown instead
+  const target = targetId !== undefined && chrome.menus ? chrome.menus.getTargetElement(targetId) : null;
+  if (target) {
+    current = target;
+    capture();
+    return;
+  }
+
+  document.addEventListener('mousemove', onMouseMove, true);
+  document.addEventListener('click', onClick, true);
+  document.addEventListener('mousedown', blockEvent, true);
+  document.addEventListener('mouseup', blockEvent, true);
+  document.addEventListener('keydown', onKeyDown, true);
+  document.documentElement.appendChild(highlight);
+  document.documentElement.appendChild(label);
+})();
@@ -0,0 +1,167 @@
+// evidence-bundle.js - Save captures as a ZIP evidence bundle, holding the
+// image with its sidecars, the page source and a manifest of their hashes
+
+// Files of a bundle besides the capture and its sidecars
+const BUNDLE_MANIFEST = 'manifest.json';
+const BUNDLE_PAGE_HTML = 'page.html';
+const BUNDLE_PAGE_MHTML = 'page.mhtml';
+const BUNDLE_RESOURCES = 'resources.txt';
+
+// Take the source of the page as shown before the capture: the serialized DOM
+// with the current form values, the title, the final URL after redirects and
+// the URLs of the loaded resources. MHTML is added where the browser can
+// produce it, which Firefox cannot.
+// Returns { html, mhtml, title, url, resources }.
+async function capturePageSnapshot(tab) {
+  const func = () => {
+    // Form values are properties, they are copied as attributes to the clone
+    const clone = document.documentElement.cloneNode(true);
+    const fields = document.documentElement.querySelectorAll('input, textarea, select');
+    const clonedFields = clone.querySelectorAll('input, textarea, select');
+
+    fields.forEach((field, i) => {
+      const copy = clonedFields[i];
+      if (field.tagName === 'SELECT') {
+        Array.from(field.options).forEach((option, j) => {
+          copy.options[j].toggleAttribute('selected', option.selected);
+        });
+      } else if (field.tagName === 'TEXTAREA') {
+        copy.textContent = field.value;
+      } else if (field.type === 'checkbox' || field.type === 'radio') {
+        copy.toggleAttribute('checked', field.checked);
+      } else if (field.type !== 'password' && field.type !== 'file') {
+        copy.setAttribute('value', field.value);
+      }
+    });
+
+    // The resource timing buffer may be full on large pages, so the resources
+    // referenced by the DOM are added
+    const resources = [location.href];
+    performance.getEntriesByType('resource').forEach(entry => resources.push(entry.name));
+    document.querySelectorAll('img, script[src], link[href], iframe[src], video, audio, source').forEach(el => {
+      resources.push(el.currentSrc || el.src || el.href);
+    });
+
+    const doctype = document.doctype ? new XMLSerializer().serializeToString(document.doctype) + '\n' : '';
+
+    return {
+      html: doctype + clone.outerHTML,
+      title: document.title,
+      url: location.href,
+      resources: Array.from(new Set(resources.filter(url => url && !url.startsWith('data:'))))
+    };
+  };
+
+  const [result] = await chrome.scripting.executeScript({
+    target: { tabId: tab.id },
+    func: func
+  });
+  const snapshot = result.result;
+
+  snapshot.mhtml = null;
+  if (chrome.pageCapture) {
+    snapshot.mhtml = await new Promise((resolve) => {
+      chrome.pageCapture.saveAsMHTML({ tabId: tab.id }, (mhtml) => {
+        if (chrome.runtime.lastError) {
+          console.warn("MHTML snapshot failed:", chrome.runtime.lastError.message);
+        }
+        resolve(mhtml || null);
+      });
+    });
+  }
+
+  return snapshot;
+}
+
+// Build the ZIP of a capture, named name in the bundle, with its sidecars
+// named after it. The page source is left out of redacted captures, as it
+// holds the data hidden in the image, and out of captures without snapshot.
+// The manifest lists every other file with its size and SHA-256 hash.
+async function buildEvidenceBundle(blob, name, sidecarBlob, sidecars, metadata, snapshot) {
+  const base = name.replace(/\.[^.]+$/, '');
+  const files = [
+    { name: name, blob: blob },
+    { name: base + '.json', blob: sidecarBlob }
+  ];
+  sidecars.forEach(sidecar => files.push({ name: base + sidecar.extension, blob: sidecar.blob }));
+
+  const omitted = [];
+  const pageFiles = [BUNDLE_PAGE_HTML, BUNDLE_PAGE_MHTML];
+  if (!snapshot) {
+    pageFiles.concat([BUNDLE_RESOURCES]).forEach(file => omitted.push({ file: file, reason: 'unavailable' }));
+  } else {
+    if (metadata.redaction) {
+      pageFiles.forEach(file => omitted.push({ file: file, reason: 'redacted' }));
+    } else {
+      files.push({ name: BUNDLE_PAGE_HTML, blob: new Blob([snapshot.html], {type: 'text/html'}) });
+      if (snapshot.mhtml) {
+        files.push({ name: BUNDLE_PAGE_MHTML, blob: snapshot.mhtml });
+      } else {
+        omitted.push({ file: BUNDLE_PAGE_MHTML, reason: 'unavailable' });
+      }
+    }
+    files.push({ name: BUNDLE_RESOURCES, blob: new Blob([snapshot.resources.join('\n') + '\n'], {type: 'text/plain'}) });
+  }
+
+  const entries = [];
+  for (const file of files) {
+    file.data = new Uint8Array(await file.blob.arrayBuffer());
+    entries.push({ name: file.name, size: file.data.length, sha256: await sha256Hex(file.data) });
+  }
+
+  const manifest = {
+    title: snapshot ? snapshot.title : metadata.title,
+    url: snapshot ? snapshot.url : metadata.url,
+    capturedAt: metadata.timestampIso,
+    serverResponse: metadata.serverResponse || null,
+    extensionVersion: metadata.extensionVersion,
+    files: entries,
+    omitted: omitted
+  };
+  files.push({
+    name: BUNDLE_MANIFEST,
+    data: new TextEncoder().encode(JSON.stringify(manifest, null, 2))
+  });
+
+  return buildZip(files, metadata.timestampIso ? new Date(metadata.timestampIso) : new Date());
+}
+
+// Save the bundle like a screenshot, with the same file name rules and a .zip
+// extension. The sidecar inside records the hash of the image.
+async function saveEvidenceBundle(blob, saveAs, useDownloadsFolder, metadata, sidecars, snapshot, sha256 = null) {
+  const settings = await getSettings();
+  sha256 = sha256 || await sha256Hex(blob);
+  const format = OUTPUT_FORMATS[metadata.format] || OUTPUT_FORMATS.png;
+  const filename = buildScreenshotPath(settings, await buildFilenameValues(settings, metadata, sha256), '.zip');
+  const name = filename.split('/').pop().replace(/\.zip$/, '') + format.extension;
+
+  const sidecar = Object.assign({ file: name, sha256: sha256 }, metadata);
+  const sidecarBlob = new Blob([JSON.stringify(sidecar, null, 2)], {type: 'application/json'});
+  const bundle = await buildEvidenceBundle(blob, name, sidecarBlob, sidecars, metadata, snapshot);
+  const blobUrl = URL.createObjectURL(bundle);
+
+  try {
+    const downloadId = useDownloadsFolder
+      ? await downloadFile(blobUrl, filename, false, true)
+      : await downloadFile(blobUrl, filename, saveAs, false);
+    // Named as saved, which the browser or the user may have changed
+    const savedFilename = await getSavedFilename(downloadId, filename);
+    return {
+      success: true,
+      downloadId,
+      sha256,
+      filename: savedFilename,
+      target: { downloadId, filename: savedFilename, saveAs, useDownloadsFolder }
+    };
+  } finally {
+    URL.revokeObjectURL(blobUrl);
+  }
+}
+
+// Bundles are saved instead of downloads. The page snapshot is added to the
+// destination by captureScreenshot.
+registerDestination('bundle', (blob, metadata, sidecars, destination, delivered) =>
+  saveEvidenceBundle(
+    blob, destination.saveAs, destination.useDownloadsFolder, metadata, sidecars, destination.snapshot, delivered.sha256
+  )
+);
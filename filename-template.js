@@ -0,0 +1,135 @@
+// filename-template.js - Build screenshot file names and subfolders from templates
+
+// Clean URL for valid filename
+function cleanUrlForFilename(url, maxLength = 100) {
+  try {
+    // Extract domain from URL
+    let hostname = "";
+    try {
+      const urlObj = new URL(url);
+      hostname = urlObj.hostname;
+
+      // Add path if present, limit length
+      if (urlObj.pathname && urlObj.pathname !== "/") {
+        let path = urlObj.pathname.replace(/^\//, "");
+        // Limit total length
+        const availableLength = maxLength - hostname.length - 1;
+        if (availableLength > 3 && path.length > availableLength) {
+          path = path.substring(0, availableLength);
+        }
+        hostname += "_" + path;
+      }
+    } catch (e) {
+      // If URL parsing fails, use raw URL
+      hostname = url;
+    }
+
+    // Clean URL for a valid filename
+    let cleanUrl = hostname
+      .replace(/^www\./, "")                    // Remove www.
+      .replace(/[^a-zA-Z0-9_\-.]/g, "_")       // Replace special chars with underscores
+      .replace(/_{2,}/g, "_")                  // Reduce consecutive underscores
+      .replace(/^_+|_+$/g, "");                // Remove leading/trailing underscores
+
+    // Limit total length
+    if (cleanUrl.length > maxLength) {
+      cleanUrl = cleanUrl.substring(0, maxLength);
+    }
+
+    return cleanUrl;
+  } catch (e) {
+    console.error("Error cleaning URL for filename:", e);
+    return "webpage";
+  }
+}
+
+// Clean free text (page title, case ID...) for a valid filename
+function cleanTextForFilename(text, maxLength = 100) {
+  let cleanText = String(text || "")
+    .replace(/[^\p{L}\p{N}_\-.]/gu, "_")   // Replace special chars with underscores
+    .replace(/_{2,}/g, "_")                // Reduce consecutive underscores
+    .replace(/^[_.]+|[_.]+$/g, "");        // Remove leading/trailing underscores and dots
+
+  if (cleanText.length > maxLength) {
+    cleanText = cleanText.substring(0, maxLength);
+  }
+
+  return cleanText;
+}
+
+// Format a date with a pattern made of YYYY, YY, MM, DD, HH, mm and ss
+function formatDatePattern(date, pattern) {
+  const pad = (num) => String(num).padStart(2, '0');
+  const parts = {
+    YYYY: String(date.getFullYear()),
+    YY: String(date.getFullYear()).slice(-2),
+    MM: pad(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    HH: pad(date.getHours()),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds())
+  };
+
+  return pattern.replace(/YYYY|YY|MM|DD|HH|mm|ss/g, (token) => parts[token]);
+}
+
+// Expand the filename tokens of one template. Each value is cleaned so that it
+// cannot add path separators or characters that are invalid in a filename.
+// context: { url, title, mode, date, caseId, counter, hash }
+function expandFilenameTemplate(template, context) {
+  let urlObj = null;
+  try {
+    urlObj = new URL(context.url);
+  } catch (e) {
+    // Non-parsable URL, host and path stay empty
+  }
+
+  return template.replace(/\{(\w+)(?::([^}]*))?\}/g, (match, name, format) => {
+    switch (name) {
+      case 'date':
+        return formatDatePattern(context.date, format || 'YYYYMMDD');
+      case 'time':
+        return formatDatePattern(context.date, format || 'HHmm');
+      case 'url':
+        return cleanUrlForFilename(context.url || "");
+      case 'host':
+        return urlObj ? cleanUrlForFilename(urlObj.protocol + '//' + urlObj.hostname) : "";
+      case 'path':
+        return urlObj ? cleanTextForFilename(urlObj.pathname.replace(/^\//, "")) : "";
+      case 'title':
+        return cleanTextForFilename(context.title);
+      case 'mode':
+        return cleanTextForFilename(context.mode);
+      case 'case_id':
+        return cleanTextForFilename(context.caseId);
+      case 'counter':
+        return String(context.counter || 0).padStart(Number(format) || 4, '0');
+      case 'hash8':
+        return (context.hash || "").substring(0, 8);
+      default:
+        return match;
+    }
+  });
+}
+
+// Clean a path segment produced by a template. "/" is replaced too, so that the
+// file name cannot add folders or leave the downloads folder.
+function cleanPathSegment(segment) {
+  return segment
+    .replace(/[<>:"|?*\/\\\x00-\x1F]/g, "_") // Separators and characters invalid on common file systems
+    .replace(/^[\s.]+|[\s.]+$/g, "")        // No leading/trailing dots or spaces
+    .substring(0, 150);
+}
+
+// Build the relative path of a screenshot (subfolders and file name) from the
+// filename and subfolder templates. "/" in the subfolder template separates folders.
+function buildScreenshotPath(settings, context, extension = '.png') {
+  const basename = cleanPathSegment(expandFilenameTemplate(settings.filenameTemplate, context)) || 'screenshot';
+
+  const folders = expandFilenameTemplate(settings.subfolderTemplate || '', context)
+    .split('/')
+    .map(cleanPathSegment)
+    .filter(segment => segment !== '' && segment !== '..');
+
+  return folders.concat([basename + extension]).join('/');
+}
@@ -0,0 +1,216 @@
+// header.js - Stamp header rendering: template expansion, layout and drawing
+
+// Format timezone offset as +/-HH:MM
+function formatTimezoneOffset(now) {
+  const pad = (num) => num.toString().padStart(2, '0');
+  const tzOffset = now.getTimezoneOffset();
+  const tzOffsetHours = Math.floor(Math.abs(tzOffset) / 60);
+  const tzOffsetMinutes = Math.abs(tzOffset) % 60;
+  const tzOffsetSign = tzOffset <= 0 ? '+' : '-';
+
+  return `${tzOffsetSign}${pad(tzOffsetHours)}:${pad(tzOffsetMinutes)}`;
+}
+
+// Format date as YYYY-MM-DD HH:MM:SS +/-HH:MM
+function formatHeaderDate(now) {
+  const pad = (num) => num.toString().padStart(2, '0');
+
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())} ${pad(now.getHours())}:${pad(now.getMinutes())}:${pad(now.getSeconds())} ${formatTimezoneOffset(now)}`;
+}
+
+// Format date as ISO-8601 local time with offset (YYYY-MM-DDTHH:MM:SS+HH:MM)
+function formatIsoDate(now) {
+  const pad = (num) => num.toString().padStart(2, '0');
+
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}T${pad(now.getHours())}:${pad(now.getMinutes())}:${pad(now.getSeconds())}${formatTimezoneOffset(now)}`;
+}
+
+// Format date as YYYY-MM-DD HH:MM:SS UTC
+function formatUtcDate(now) {
+  return now.toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC');
+}
+
+// Get default font from the page
+async function getDefaultFont(tab) {
+  const func = () => {
+    const bodyStyles = window.getComputedStyle(document.body);
+    return bodyStyles.font || (bodyStyles.fontSize + ' ' + bodyStyles.fontFamily);
+  };
+
+  try {
+    const [result] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: func
+    });
+
+    return result.result || '14px Arial, sans-serif';
+  } catch (error) {
+    console.error("Error getting default font:", error);
+    return '14px Arial, sans-serif';
+  }
+}
+
+
+// Get the browser name and version, e.g. "Firefox 128.0"
+async function getBrowserName() {
+  if (chrome.runtime.getBrowserInfo) {
+    const info = await chrome.runtime.getBrowserInfo();
+    return `${info.name} ${info.version}`;
+  }
+
+  const match = navigator.userAgent.match(/(Firefox|Edg|Chrome|Safari)\/([\d.]+)/);
+  return match ? `${match[1]} ${match[2]}` : navigator.userAgent;
+}
+
+// Values available to the header template as {placeholder}
+async function buildHeaderValues(tab, capturedAt, settings) {
+  return {
+    url: tab.url,
+    title: tab.title || '',
+    date_local: formatHeaderDate(capturedAt),
+    date_utc: formatUtcDate(capturedAt),
+    tz: Intl.DateTimeFormat().resolvedOptions().timeZone || formatTimezoneOffset(capturedAt),
+    user: settings.headerUser,
+    case_id: settings.caseId,
+    browser: await getBrowserName(),
+    version: chrome.runtime.getManifest().version
+  };
+}
+
+// Replace {placeholder} in a template, leaving unknown placeholders as they are
+function expandTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => {
+    return Object.prototype.hasOwnProperty.call(values, name) ? String(values[name]) : match;
+  });
+}
+
+// Shorten text with an ellipsis so that it fits in the available width
+function truncateText(ctx, text, availableWidth) {
+  if (ctx.measureText(text).width <= availableWidth) {
+    return text;
+  }
+
+  let truncatedText = text;
+  const ellipsis = "...";
+  const ellipsisWidth = ctx.measureText(ellipsis).width;
+
+  while (ctx.measureText(truncatedText).width + ellipsisWidth > availableWidth && truncatedText.length > 0) {
+    truncatedText = truncatedText.substring(0, truncatedText.length - 1);
+  }
+
+  return truncatedText + ellipsis;
+}
+
+// Split text into lines that fit in the available width. URLs have no spaces,
+// so lines are broken between characters.
+function wrapText(ctx, text, availableWidth) {
+  const lines = [];
+  let line = '';
+
+  for (const char of text) {
+    if (line && ctx.measureText(line + char).width > availableWidth) {
+      lines.push(line);
+      line = '';
+    }
+    line += char;
+  }
+  lines.push(line);
+
+  return lines;
+}
+
+// Compute the header lines, font and height for a screenshot of the given width.
+// Template lines come first, at most settings.headerMaxLines of them once
+// wrapped (no limit when 0), followed by extraLines (server time, TSA...),
+// which are never cut as they describe the capture.
+// scale matches the header to screenshots taken above 1x (HiDPI).
+async function buildHeaderLayout(tab, width, capturedAt, extraLines = [], settings = DEFAULT_SETTINGS, scale = 1) {
+  const baseFont = settings.headerFont || await getDefaultFont(tab);
+
+  // Scale the font size and calculate line height
+  const fontSizeMatch = baseFont.match(/(\d+(?:\.\d+)?)px/);
+  const fontSize = (fontSizeMatch ? parseFloat(fontSizeMatch[1]) : 14) * scale;
+  const font = fontSizeMatch ? baseFont.replace(fontSizeMatch[0], fontSize + 'px') : baseFont;
+  const lineHeight = Math.round(fontSize + 4 * scale);
+
+  const values = await buildHeaderValues(tab, capturedAt, settings);
+  const templateLines = expandTemplate(settings.headerTemplate, values)
+    .split('\n')
+    .filter(line => line.trim() !== '');
+
+  // Measure text with the header font
+  const ctx = document.createElement('canvas').getContext('2d');
+  ctx.font = font;
+
+  // Calculate available width
+  const padding = 20 * scale;
+  const availableWidth = width - padding;
+
+  const fitLines = (text) => settings.headerWrap
+    ? wrapText(ctx, text, availableWidth)
+    : [truncateText(ctx, text, availableWidth)];
+
+  let lines = [];
+  templateLines.forEach(line => lines.push(...fitLines(line)));
+
+  const maxLines = Number(settings.headerMaxLines) || 0;
+  if (maxLines > 0 && lines.length > maxLines) {
+    // The last line kept shows that lines were cut
+    const last = truncateText(ctx, lines[maxLines - 1], availableWidth - ctx.measureText('...').width);
+    lines = lines.slice(0, maxLines - 1).concat([last.endsWith('...') ? last : last + '...']);
+  }
+
+  extraLines.forEach(line => lines.push(...fitLines(line)));
+
+  return {
+    font,
+    fontSize,
+    lineHeight,
+    lines,
+    width,
+    height: Math.round(lineHeight * lines.length + fontSize),
+    scale,
+    settings
+  };
+}
+
+// Draw a header band at the given vertical position
+function drawHeader(ctx, layout, y) {
+  const settings = layout.settings;
+
+  // Fill header background
+  ctx.fillStyle = settings.headerBackground;
+  ctx.fillRect(0, y, layout.width, layout.height);
+  ctx.strokeStyle = settings.headerBorderColor;
+  ctx.lineWidth = layout.scale;
+  ctx.strokeRect(0, y, layout.width, layout.height);
+
+  // Configure text style
+  ctx.fillStyle = settings.headerTextColor;
+  ctx.font = layout.font;
+
+  layout.lines.forEach((line, index) => {
+    ctx.fillText(line, 10 * layout.scale, y + layout.lineHeight * (index + 1));
+  });
+}
+
+// Add header to screenshot, above or below it depending on settings
+async function addHeaderToScreenshot(canvas, tab, capturedAt = new Date(), extraLines = [], settings = DEFAULT_SETTINGS, scale = 1) {
+  const layout = await buildHeaderLayout(tab, canvas.width, capturedAt, extraLines, settings, scale);
+  const newCanvas = document.createElement('canvas');
+  const ctx = newCanvas.getContext('2d');
+
+  // Set new canvas dimensions
+  newCanvas.width = canvas.width;
+  newCanvas.height = canvas.height + layout.height;
+
+  if (settings.headerPosition === 'bottom') {
+    ctx.drawImage(canvas, 0, 0);
+    drawHeader(ctx, layout, canvas.height);
+  } else {
+    drawHeader(ctx, layout, 0);
+    ctx.drawImage(canvas, 0, layout.height);
+  }
+
+  return newCanvas;
+}
@@ -0,0 +1,132 @@
+// history-store.js - Capture history kept in IndexedDB, shared by the
+// background script and the gallery page
+
+const HISTORY_DB_NAME = 'stampshot-history';
+const HISTORY_STORE = 'captures';
+
+// Each entry is { id, url, title, host, timestamp, mode, format, filename, path,
+// downloadId, sha256, metadata, thumbnail (Blob), file (Blob, optional), missing }
+let historyDb = null;
+
+function openHistoryDb() {
+  if (!historyDb) {
+    historyDb = new Promise((resolve, reject) => {
+      const request = indexedDB.open(HISTORY_DB_NAME, 1);
+
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('timestamp', 'timestamp');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return historyDb;
+}
+
+// Run a request on the history store and resolve with its result
+async function historyRequest(mode, makeRequest) {
+  const db = await openHistoryDb();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(HISTORY_STORE, mode);
+    const request = makeRequest(transaction.objectStore(HISTORY_STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+function addHistoryEntry(entry) {
+  return historyRequest('readwrite', store => store.add(entry));
+}
+
+function getHistoryEntry(id) {
+  return historyRequest('readonly', store => store.get(id));
+}
+
+// All entries, newest first
+async function getHistoryEntries() {
+  const entries = await historyRequest('readonly', store => store.index('timestamp').getAll());
+  return entries.reverse();
+}
+
+async function updateHistoryEntry(id, changes) {
+  const entry = await getHistoryEntry(id);
+  if (entry) {
+    await historyRequest('readwrite', store => store.put(Object.assign(entry, changes)));
+  }
+}
+
+function deleteHistoryEntry(id) {
+  return historyRequest('readwrite', store => store.delete(id));
+}
+
+function clearHistory() {
+  return historyRequest('readwrite', store => store.clear());
+}
+
+// Delete the oldest entries beyond maxEntries, and those older than maxDays
+// (no limit when 0). Resolves with the number of deleted entries.
+async function pruneHistory(maxEntries, maxDays) {
+  const db = await openHistoryDb();
+  const oldest = maxDays > 0 ? new Date(Date.now() - maxDays * 86400000).toISOString() : '';
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(HISTORY_STORE, 'readwrite');
+    const store = transaction.objectStore(HISTORY_STORE);
+    const countRequest = store.count();
+    let deleted = 0;
+
+    countRequest.onsuccess = () => {
+      let excess = maxEntries > 0 ? countRequest.result - maxEntries : 0;
+
+      // Entries are visited oldest first, until one is kept
+      store.index('timestamp').openKeyCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor && (excess > 0 || cursor.key < oldest)) {
+          store.delete(cursor.primaryKey);
+          excess--;
+          deleted++;
+          cursor.continue();
+        }
+      };
+    };
+
+    transaction.oncomplete = () => resolve(deleted);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+// Drop the file copies of all but the newest maxFiles entries keeping one (no
+// limit when 0). The entries stay, with their thumbnail and details.
+async function pruneHistoryFiles(maxFiles) {
+  if (maxFiles <= 0) {
+    return;
+  }
+
+  const db = await openHistoryDb();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(HISTORY_STORE, 'readwrite');
+    let kept = 0;
+
+    // Entries are visited newest first
+    transaction.objectStore(HISTORY_STORE).index('timestamp').openCursor(null, 'prev').onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) {
+        return;
+      }
+      if (cursor.value.file) {
+        if (kept < maxFiles) {
+          kept++;
+        } else {
+          cursor.update(Object.assign(cursor.value, { file: null }));
+        }
+      }
+      cursor.continue();
+    };
+
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
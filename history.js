@@ -0,0 +1,201 @@
+// history.js - Capture history gallery controller
+
+document.addEventListener('DOMContentLoaded', () => {
+  // UI Elements
+  const searchInput = document.getElementById('search');
+  const domainSelect = document.getElementById('domain');
+  const dateFromInput = document.getElementById('dateFrom');
+  const dateToInput = document.getElementById('dateTo');
+  const compareBtn = document.getElementById('compareBtn');
+  const clearBtn = document.getElementById('clearBtn');
+  const summaryDiv = document.getElementById('summary');
+  const errorDiv = document.getElementById('error');
+  const entriesDiv = document.getElementById('entries');
+
+  let entries = [];
+  // Entries selected for comparison, by id
+  const selected = new Set();
+  // Object URLs of the thumbnails shown, revoked when the list is shown again
+  let thumbnailUrls = [];
+
+  // Localization - Apply translations
+  document.querySelectorAll('[data-i18n]').forEach(element => {
+    const message = chrome.i18n.getMessage(element.dataset.i18n);
+    if (message) {
+      element.textContent = message;
+    }
+  });
+  searchInput.placeholder = chrome.i18n.getMessage('historySearch');
+
+  function showError(message) {
+    errorDiv.textContent = message ? chrome.i18n.getMessage('error', [message]) : '';
+  }
+
+  // Entries matching the search text, site and date range
+  function filterEntries() {
+    const text = searchInput.value.trim().toLowerCase();
+    const from = dateFromInput.value ? new Date(dateFromInput.value + 'T00:00:00') : null;
+    const to = dateToInput.value ? new Date(dateToInput.value + 'T23:59:59.999') : null;
+
+    return entries.filter(entry => {
+      const date = new Date(entry.timestamp);
+      return (!text || [entry.url, entry.title, entry.filename].some(value => (value || '').toLowerCase().includes(text))) &&
+        (!domainSelect.value || entry.host === domainSelect.value) &&
+        (!from || date >= from) &&
+        (!to || date <= to);
+    });
+  }
+
+  function addButton(container, label, onClick, disabled = false) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.disabled = disabled;
+    button.addEventListener('click', onClick);
+    container.appendChild(button);
+  }
+
+  function addLine(container, className, text) {
+    const div = document.createElement('div');
+    div.className = className;
+    div.textContent = text;
+    container.appendChild(div);
+  }
+
+  // Only image files kept in the history can be compared
+  function canCompare(entry) {
+    return entry.file && entry.format !== 'pdf';
+  }
+
+  function render() {
+    thumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+    thumbnailUrls = [];
+    entriesDiv.textContent = '';
+
+    const shown = filterEntries();
+    summaryDiv.textContent = chrome.i18n.getMessage('historySummary', [String(shown.length), String(entries.length)]);
+
+    shown.forEach(entry => {
+      const card = document.createElement('div');
+      card.className = entry.missing ? 'entry missing' : 'entry';
+
+      const img = document.createElement('img');
+      if (entry.thumbnail) {
+        img.src = URL.createObjectURL(entry.thumbnail);
+        thumbnailUrls.push(img.src);
+      }
+      img.alt = '';
+      card.appendChild(img);
+
+      addLine(card, 'title', entry.title || entry.url);
+      addLine(card, 'detail', entry.url);
+      addLine(card, 'detail', `${new Date(entry.timestamp).toLocaleString()} - ${entry.mode} - ${entry.format}`);
+      addLine(card, 'detail', entry.path || entry.filename);
+      if (entry.missing) {
+        addLine(card, 'warning', chrome.i18n.getMessage('historyMissing'));
+      }
+
+      const actions = document.createElement('div');
+      actions.className = 'actions';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.title = chrome.i18n.getMessage('historyCompare');
+      checkbox.checked = selected.has(entry.id);
+      checkbox.disabled = !canCompare(entry);
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) {
+          selected.add(entry.id);
+        } else {
+          selected.delete(entry.id);
+        }
+        compareBtn.disabled = selected.size !== 2;
+      });
+      actions.appendChild(checkbox);
+
+      addButton(actions, chrome.i18n.getMessage('historyDownload'), () => downloadAgain(entry), !entry.file);
+      addButton(actions, chrome.i18n.getMessage('historyShowFolder'), () => {
+        chrome.downloads.show(entry.downloadId);
+      }, entry.missing || entry.downloadId === undefined);
+      addButton(actions, chrome.i18n.getMessage('historyDelete'), async () => {
+        await deleteHistoryEntry(entry.id);
+        selected.delete(entry.id);
+        await loadEntries();
+      });
+
+      card.appendChild(actions);
+      entriesDiv.appendChild(card);
+    });
+
+    compareBtn.disabled = selected.size !== 2;
+  }
+
+  // Save the copy of the file kept in the history
+  function downloadAgain(entry) {
+    const url = URL.createObjectURL(entry.file);
+    chrome.downloads.download({ url: url, filename: entry.filename.split('/').pop(), saveAs: true }, () => {
+      URL.revokeObjectURL(url);
+      if (chrome.runtime.lastError) {
+        showError(chrome.runtime.lastError.message);
+      }
+    });
+  }
+
+  // Mark the entries whose download was removed, or whose file was deleted
+  async function checkDownloads() {
+    for (const entry of entries) {
+      if (entry.downloadId === undefined || entry.missing) {
+        continue;
+      }
+
+      const downloads = await new Promise(resolve => chrome.downloads.search({ id: entry.downloadId }, resolve));
+      const download = downloads && downloads[0];
+      if (!download || download.exists === false || download.state === 'interrupted') {
+        entry.missing = true;
+        await updateHistoryEntry(entry.id, { missing: true });
+      }
+    }
+  }
+
+  // List the sites found in the history
+  function updateDomains() {
+    const current = domainSelect.value;
+    const hosts = Array.from(new Set(entries.map(entry => entry.host).filter(host => host))).sort();
+
+    while (domainSelect.options.length > 1) {
+      domainSelect.remove(1);
+    }
+    hosts.forEach(host => domainSelect.add(new Option(host, host)));
+    domainSelect.value = hosts.includes(current) ? current : '';
+  }
+
+  async function loadEntries() {
+    try {
+      entries = await getHistoryEntries();
+      await checkDownloads();
+      updateDomains();
+      render();
+    } catch (error) {
+      showError(error.message);
+    }
+  }
+
+  [searchInput, domainSelect, dateFromInput, dateToInput].forEach(input => {
+    input.addEventListener('input', render);
+  });
+
+  compareBtn.addEventListener('click', () => {
+    // Oldest capture first
+    const ids = entries.filter(entry => selected.has(entry.id)).map(entry => entry.id).reverse();
+    chrome.tabs.create({ url: chrome.runtime.getURL(`compare.html?before=${ids[0]}&after=${ids[1]}`) });
+  });
+
+  clearBtn.addEventListener('click', async () => {
+    if (confirm(chrome.i18n.getMessage('historyClearConfirm'))) {
+      await clearHistory();
+      selected.clear();
+      await loadEntries();
+    }
+  });
+
+  loadEntries();
+});
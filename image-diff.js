@@ -0,0 +1,160 @@
+// image-diff.js - Pixel comparison of two captures
+
+// Larger images are compared at a reduced size, to limit memory use
+const MAX_DIFF_PIXELS = 25000000;
+
+// Size of the grid cells grouped into change regions
+const DIFF_CELL_SIZE = 16;
+
+// Rows of an image showing the page, { y, height }, without the header
+// recorded in the capture metadata ({ position, height }), if any
+function getContentArea(image, header) {
+  const headerHeight = header ? Math.min(Math.max(Number(header.height) || 0, 0), image.height) : 0;
+  return {
+    y: header && header.position !== 'bottom' ? headerHeight : 0,
+    height: image.height - headerHeight
+  };
+}
+
+// Draw the rows of area of an image on a canvas of the given size, from the
+// top left corner
+function drawOnCanvas(image, area, width, height, scale) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  if (area.height > 0) {
+    canvas.getContext('2d').drawImage(
+      image, 0, area.y, image.width, area.height, 0, 0, image.width * scale, area.height * scale
+    );
+  }
+  return canvas;
+}
+
+// Compare two images pixel by pixel, leaving out their headers (headerA and
+// headerB, from the capture metadata) so that the different URLs and times
+// they show are not counted as changes. Pixels differ when a channel differs
+// by more than tolerance (0-255); areas covered by only one image differ too.
+// Returns { canvasA, canvasB, diffCanvas, scale, changedPixels, totalPixels,
+// percent, regions } with regions as { x, y, width, height } in pixels of the
+// original images, below their headers.
+function computeImageDiff(imageA, imageB, tolerance, headerA = null, headerB = null) {
+  const areaA = getContentArea(imageA, headerA);
+  const areaB = getContentArea(imageB, headerB);
+  const fullWidth = Math.max(imageA.width, imageB.width);
+  const fullHeight = Math.max(areaA.height, areaB.height, 1);
+  const scale = Math.min(1, Math.sqrt(MAX_DIFF_PIXELS / (fullWidth * fullHeight)));
+  const width = Math.max(Math.round(fullWidth * scale), 1);
+  const height = Math.max(Math.round(fullHeight * scale), 1);
+
+  const canvasA = drawOnCanvas(imageA, areaA, width, height, scale);
+  const canvasB = drawOnCanvas(imageB, areaB, width, height, scale);
+  const dataA = canvasA.getContext('2d').getImageData(0, 0, width, height).data;
+  const dataB = canvasB.getContext('2d').getImageData(0, 0, width, height).data;
+
+  const diffCanvas = document.createElement('canvas');
+  diffCanvas.width = width;
+  diffCanvas.height = height;
+  const diffCtx = diffCanvas.getContext('2d');
+  const diffImage = diffCtx.createImageData(width, height);
+  const diff = diffImage.data;
+
+  const cols = Math.ceil(width / DIFF_CELL_SIZE);
+  const rows = Math.ceil(height / DIFF_CELL_SIZE);
+  const changedCells = new Uint8Array(cols * rows);
+  let changedPixels = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const changed =
+        Math.abs(dataA[i] - dataB[i]) > tolerance ||
+        Math.abs(dataA[i + 1] - dataB[i + 1]) > tolerance ||
+        Math.abs(dataA[i + 2] - dataB[i + 2]) > tolerance ||
+        Math.abs(dataA[i + 3] - dataB[i + 3]) > tolerance;
+
+      if (changed) {
+        changedPixels++;
+        changedCells[Math.floor(y / DIFF_CELL_SIZE) * cols + Math.floor(x / DIFF_CELL_SIZE)] = 1;
+        diff[i] = 255;
+        diff[i + 1] = 0;
+        diff[i + 2] = 0;
+      } else {
+        // Unchanged pixels are shown faded, in grey
+        const grey = (dataB[i] * 0.3 + dataB[i + 1] * 0.59 + dataB[i + 2] * 0.11) * (dataB[i + 3] / 255) +
+          255 * (1 - dataB[i + 3] / 255);
+        const faded = 255 - (255 - grey) * 0.25;
+        diff[i] = faded;
+        diff[i + 1] = faded;
+        diff[i + 2] = faded;
+      }
+      diff[i + 3] = 255;
+    }
+  }
+
+  diffCtx.putImageData(diffImage, 0, 0);
+
+  const regions = findChangedRegions(changedCells, cols, rows).map(region => ({
+    x: Math.floor(region.x / scale),
+    y: Math.floor(region.y / scale),
+    width: Math.ceil(Math.min(region.width, width - region.x) / scale),
+    height: Math.ceil(Math.min(region.height, height - region.y) / scale)
+  }));
+
+  return {
+    canvasA,
+    canvasB,
+    diffCanvas,
+    scale,
+    changedPixels,
+    totalPixels: width * height,
+    percent: changedPixels * 100 / (width * height),
+    regions
+  };
+}
+
+// Group adjacent changed cells (including diagonally) into bounding boxes
+function findChangedRegions(changedCells, cols, rows) {
+  const visited = new Uint8Array(cols * rows);
+  const regions = [];
+
+  for (let start = 0; start < changedCells.length; start++) {
+    if (!changedCells[start] || visited[start]) {
+      continue;
+    }
+
+    let minCol = cols, minRow = rows, maxCol = 0, maxRow = 0;
+    const stack = [start];
+    visited[start] = 1;
+
+    while (stack.length > 0) {
+      const cell = stack.pop();
+      const col = cell % cols;
+      const row = Math.floor(cell / cols);
+      minCol = Math.min(minCol, col);
+      maxCol = Math.max(maxCol, col);
+      minRow = Math.min(minRow, row);
+      maxRow = Math.max(maxRow, row);
+
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const c = col + dx;
+          const r = row + dy;
+          const next = r * cols + c;
+          if (c >= 0 && c < cols && r >= 0 && r < rows && changedCells[next] && !visited[next]) {
+            visited[next] = 1;
+            stack.push(next);
+          }
+        }
+      }
+    }
+
+    regions.push({
+      x: minCol * DIFF_CELL_SIZE,
+      y: minRow * DIFF_CELL_SIZE,
+      width: (maxCol - minCol + 1) * DIFF_CELL_SIZE,
+      height: (maxRow - minRow + 1) * DIFF_CELL_SIZE
+    });
+  }
+
+  return regions;
+}
@@ -0,0 +1,16 @@
+// integrity.js - Hashing helpers shared by the background script and extension pages
+
+// Compute the SHA-256 digest of binary data (Blob, ArrayBuffer or typed array)
+async function sha256Digest(data) {
+  const buffer = data instanceof Blob ? await data.arrayBuffer() : data;
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', buffer));
+}
+
+// Compute the SHA-256 digest of binary data as a lowercase hex string
+async function sha256Hex(data) {
+  const digest = await sha256Digest(data);
+
+  return Array.from(digest)
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
@@ -0,0 +1,98 @@
+// options.js - Options page controller
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const statusDiv = document.getElementById('status');
+  const inputs = document.querySelectorAll('[data-setting]');
+
+  // Localization - Apply translations
+  document.querySelectorAll('[data-i18n]').forEach(element => {
+    const message = chrome.i18n.getMessage(element.dataset.i18n);
+    if (message) {
+      element.textContent = message;
+    }
+  });
+
+  // Read the value of an input according to its type
+  function getInputValue(input) {
+    if (input.type === 'checkbox') {
+      return input.checked;
+    }
+    if (input.type === 'number') {
+      // An emptied or invalid field takes the default value, and values are
+      // kept within the limits of the field
+      let value = input.value.trim() === '' ? NaN : Number(input.value);
+      if (isNaN(value)) {
+        value = DEFAULT_SETTINGS[input.dataset.setting];
+      }
+      if (input.min !== '') {
+        value = Math.max(value, Number(input.min));
+      }
+      if (input.max !== '') {
+        value = Math.min(value, Number(input.max));
+      }
+      return value;
+    }
+    if (input.tagName === 'TEXTAREA') {
+      return input.value.replace(/\s+$/, '');
+    }
+    // Spaces can be part of a password
+    if (input.type === 'password') {
+      return input.value;
+    }
+    return input.value.trim();
+  }
+
+  function setInputValue(input, value) {
+    if (input.type === 'checkbox') {
+      input.checked = !!value;
+    } else {
+      input.value = value;
+    }
+  }
+
+  // Show an example file path built from the filename templates being edited
+  function updateFilenamePreview() {
+    chrome.storage.local.get(['filenameCounter'], (result) => {
+      const previewSettings = {
+        filenameTemplate: document.getElementById('filenameTemplate').value,
+        subfolderTemplate: document.getElementById('subfolderTemplate').value
+      };
+
+      document.getElementById('filenamePreview').textContent = buildScreenshotPath(previewSettings, {
+        url: 'https://www.example.com/products/item?id=42',
+        title: 'Example product',
+        mode: 'full',
+        date: new Date(),
+        caseId: document.getElementById('caseId').value,
+        counter: (result.filenameCounter || 0) + 1,
+        hash: 'a1b2c3d4e5f60718'
+      });
+    });
+  }
+
+  // Fill the form with the saved settings
+  const settings = await getSettings();
+  inputs.forEach(input => setInputValue(input, settings[input.dataset.setting]));
+
+  updateFilenamePreview();
+  ['filenameTemplate', 'subfolderTemplate', 'caseId'].forEach(id => {
+    document.getElementById(id).addEventListener('input', updateFilenamePreview);
+  });
+
+  // Save each option as soon as it changes
+  inputs.forEach(input => {
+    input.addEventListener('change', () => {
+      const value = getInputValue(input);
+      // Show the number saved when it was corrected
+      if (input.type === 'number') {
+        setInputValue(input, value);
+      }
+      chrome.storage.local.set({ [input.dataset.setting]: value }, () => {
+        statusDiv.textContent = chrome.i18n.getMessage('optionsSaved');
+        setTimeout(() => {
+          statusDiv.textContent = '';
+        }, 1500);
+      });
+    });
+  });
+});
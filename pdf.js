@@ -0,0 +1,167 @@
+// pdf.js - Minimal PDF writer and paged PDF output for screenshots
+
+// Page sizes in PDF points (1/72 inch), portrait
+const PDF_PAGE_SIZES = {
+  a4: { width: 595.28, height: 841.89 },
+  letter: { width: 612, height: 792 }
+};
+
+// Encode a string for a PDF text string: literal for ASCII, UTF-16BE hex otherwise
+function pdfString(text) {
+  text = String(text);
+
+  if (/^[\x20-\x7E]*$/.test(text)) {
+    return '(' + text.replace(/([\\()])/g, '\\$1') + ')';
+  }
+
+  let hex = 'FEFF';
+  for (let i = 0; i < text.length; i++) {
+    hex += text.charCodeAt(i).toString(16).padStart(4, '0').toUpperCase();
+  }
+  return '<' + hex + '>';
+}
+
+// Format a date as a PDF date string, D:YYYYMMDDHHmmSS+HH'mm'
+function pdfDate(date) {
+  const pad = (num) => String(num).padStart(2, '0');
+  const offset = -date.getTimezoneOffset();
+  const sign = offset >= 0 ? '+' : '-';
+
+  return `D:${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}` +
+    `${sign}${pad(Math.floor(Math.abs(offset) / 60))}'${pad(Math.abs(offset) % 60)}'`;
+}
+
+// Build a PDF file where each page shows one JPEG image filling the page.
+// pages: [{ jpeg: Uint8Array, pixelWidth, pixelHeight, width, height }] with
+// width/height in points; info: document information entries (Title, Subject...)
+function buildPdf(pages, info = {}) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+
+  const write = (data) => {
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+
+  const beginObject = (number) => {
+    offsets[number] = length;
+    write(`${number} 0 obj\n`);
+  };
+
+  // Object numbers: 1 catalog, 2 page tree, 3 info, then 3 objects per page
+  const pageObject = (index) => 4 + index * 3;
+
+  write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+
+  beginObject(1);
+  write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+
+  beginObject(2);
+  const kids = pages.map((page, index) => `${pageObject(index)} 0 R`).join(' ');
+  write(`<< /Type /Pages /Kids [${kids}] /Count ${pages.length} >>\nendobj\n`);
+
+  beginObject(3);
+  const infoEntries = Object.keys(info)
+    .filter(key => info[key])
+    .map(key => `/${key} ${key.endsWith('Date') ? pdfString(pdfDate(info[key])) : pdfString(info[key])}`)
+    .join(' ');
+  write(`<< ${infoEntries} >>\nendobj\n`);
+
+  pages.forEach((page, index) => {
+    const pageNumber = pageObject(index);
+    const width = page.width.toFixed(2);
+    const height = page.height.toFixed(2);
+
+    beginObject(pageNumber);
+    write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+      `/Resources << /XObject << /Im0 ${pageNumber + 2} 0 R >> >> /Contents ${pageNumber + 1} 0 R >>\nendobj\n`);
+
+    const content = `q ${width} 0 0 ${height} 0 0 cm /Im0 Do Q`;
+    beginObject(pageNumber + 1);
+    write(`<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`);
+
+    beginObject(pageNumber + 2);
+    write(`<< /Type /XObject /Subtype /Image /Width ${page.pixelWidth} /Height ${page.pixelHeight} ` +
+      `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>\nstream\n`);
+    write(page.jpeg);
+    write('\nendstream\nendobj\n');
+  });
+
+  const objectCount = pageObject(pages.length);
+  const xrefOffset = length;
+  write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+  for (let i = 1; i < objectCount; i++) {
+    write(`${String(offsets[i]).padStart(10, '0')} 00000 n \n`);
+  }
+  write(`trailer\n<< /Size ${objectCount} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  return new Blob(chunks, { type: 'application/pdf' });
+}
+
+// Encode a canvas as JPEG bytes
+async function canvasToJpegBytes(canvas, quality) {
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', quality));
+  return new Uint8Array(await blob.arrayBuffer());
+}
+
+// Split a screenshot into page-sized slices, each with the header above it, or
+// below it with headerPosition 'bottom', and the page number at the bottom of
+// the page, and assemble them into a PDF
+async function buildPdfScreenshot(canvas, tab, capturedAt, extraLines, settings, metadata) {
+  const pageSize = PDF_PAGE_SIZES[settings.pdfPageSize] || PDF_PAGE_SIZES.a4;
+  const layout = await buildHeaderLayout(tab, canvas.width, capturedAt, extraLines, settings, metadata.scale);
+
+  // Page height in canvas pixels, keeping the paper aspect ratio
+  const pagePixelHeight = Math.round(canvas.width * pageSize.height / pageSize.width);
+  const footerHeight = layout.lineHeight + Math.round(layout.fontSize / 2);
+  const sliceHeight = Math.max(pagePixelHeight - layout.height - footerHeight, layout.lineHeight);
+  const pageCount = Math.max(Math.ceil(canvas.height / sliceHeight), 1);
+  const pages = [];
+
+  for (let index = 0; index < pageCount; index++) {
+    const pageCanvas = document.createElement('canvas');
+    const ctx = pageCanvas.getContext('2d');
+    pageCanvas.width = canvas.width;
+    pageCanvas.height = pagePixelHeight;
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, pageCanvas.width, pageCanvas.height);
+
+    // This page's slice of the screenshot, with the header above or below it
+    const sliceY = index * sliceHeight;
+    const height = Math.min(sliceHeight, canvas.height - sliceY);
+    if (settings.headerPosition === 'bottom') {
+      ctx.drawImage(canvas, 0, sliceY, canvas.width, height, 0, 0, canvas.width, height);
+      drawHeader(ctx, layout, height);
+    } else {
+      drawHeader(ctx, layout, 0);
+      ctx.drawImage(canvas, 0, sliceY, canvas.width, height, 0, layout.height, canvas.width, height);
+    }
+
+    // Page number
+    const pageLabel = chrome.i18n.getMessage('pdfPageNumber', [String(index + 1), String(pageCount)]);
+    ctx.fillStyle = settings.headerTextColor;
+    ctx.font = layout.font;
+    ctx.textAlign = 'right';
+    ctx.fillText(pageLabel, pageCanvas.width - 10 * layout.scale, pagePixelHeight - Math.round(layout.fontSize / 2));
+
+    pages.push({
+      jpeg: await canvasToJpegBytes(pageCanvas, settings.outputQuality),
+      pixelWidth: pageCanvas.width,
+      pixelHeight: pageCanvas.height,
+      width: pageSize.width,
+      height: pageSize.height
+    });
+  }
+
+  return buildPdf(pages, {
+    Title: metadata.title,
+    Subject: metadata.url,
+    Producer: `StampShot ${metadata.extensionVersion}`,
+    CreationDate: capturedAt
+  });
+}
@@ -0,0 +1,195 @@
+// png-text.js - Read and write PNG tEXt/iTXt metadata chunks
+
+// PNG file signature
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+// CRC-32 lookup table used for chunk checksums
+const PNG_CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function pngCrc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = PNG_CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Encode a string as Latin-1 bytes (only called with ASCII or Latin-1 text)
+function latin1Bytes(text) {
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) {
+    bytes[i] = text.charCodeAt(i) & 0xFF;
+  }
+  return bytes;
+}
+
+function latin1String(bytes) {
+  let text = '';
+  for (let i = 0; i < bytes.length; i++) {
+    text += String.fromCharCode(bytes[i]);
+  }
+  return text;
+}
+
+function concatBytes(arrays) {
+  const length = arrays.reduce((total, array) => total + array.length, 0);
+  const result = new Uint8Array(length);
+  let offset = 0;
+  arrays.forEach(array => {
+    result.set(array, offset);
+    offset += array.length;
+  });
+  return result;
+}
+
+function isPng(bytes) {
+  return bytes.length >= 8 && PNG_SIGNATURE.every((value, i) => bytes[i] === value);
+}
+
+// Build a complete chunk (length, type, data, CRC)
+function buildPngChunk(type, data) {
+  const typeAndData = concatBytes([latin1Bytes(type), data]);
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+
+  view.setUint32(0, data.length);
+  chunk.set(typeAndData, 4);
+  view.setUint32(8 + data.length, pngCrc32(typeAndData));
+
+  return chunk;
+}
+
+// Build a tEXt chunk for printable ASCII values, or an uncompressed iTXt chunk
+// otherwise. tEXt allows no control character but the line feed, so values
+// holding one are written as iTXt. Neither allows NUL, which readers take as
+// the end of the text, so it is removed.
+function buildPngTextChunk(keyword, value) {
+  if (!/^[\x20-\x7E]{1,79}$/.test(keyword)) {
+    throw new Error(`Invalid PNG text keyword: ${keyword}`);
+  }
+
+  const text = String(value).replace(/\x00/g, '');
+  const keywordBytes = latin1Bytes(keyword);
+
+  if (/^[\x20-\x7E\n]*$/.test(text)) {
+    return buildPngChunk('tEXt', concatBytes([
+      keywordBytes, [0],
+      latin1Bytes(text)
+    ]));
+  }
+
+  // iTXt: keyword, null, compression flag, compression method,
+  // language tag, null, translated keyword, null, UTF-8 text
+  return buildPngChunk('iTXt', concatBytes([
+    keywordBytes, [0],
+    [0, 0],
+    [0],
+    [0],
+    new TextEncoder().encode(text)
+  ]));
+}
+
+// Iterate over the chunks of a PNG file
+function forEachPngChunk(bytes, callback) {
+  if (!isPng(bytes)) {
+    throw new Error("Not a PNG file");
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 8;
+
+  while (offset + 12 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = latin1String(bytes.subarray(offset + 4, offset + 8));
+    const end = offset + 12 + length;
+
+    if (end > bytes.length) {
+      throw new Error("Truncated PNG chunk");
+    }
+
+    if (callback(type, bytes.subarray(offset + 8, offset + 8 + length), offset, end) === false) {
+      return;
+    }
+    offset = end;
+  }
+}
+
+// Insert text chunks right after the IHDR chunk.
+// entries is an object mapping keywords to values; empty values are skipped.
+function addPngTextChunks(bytes, entries) {
+  let insertAt = -1;
+
+  forEachPngChunk(bytes, (type, data, start, end) => {
+    if (type === 'IHDR') {
+      insertAt = end;
+      return false;
+    }
+  });
+
+  if (insertAt === -1) {
+    throw new Error("PNG file has no IHDR chunk");
+  }
+
+  const chunks = Object.keys(entries)
+    .filter(keyword => entries[keyword] !== undefined && entries[keyword] !== null && entries[keyword] !== '')
+    .map(keyword => buildPngTextChunk(keyword, entries[keyword]));
+
+  return concatBytes([bytes.subarray(0, insertAt)].concat(chunks, [bytes.subarray(insertAt)]));
+}
+
+// Read all tEXt and uncompressed iTXt chunks into a keyword/value object
+function readPngTextChunks(bytes) {
+  const entries = {};
+
+  forEachPngChunk(bytes, (type, data) => {
+    const keywordEnd = data.indexOf(0);
+    if (keywordEnd <= 0) {
+      return;
+    }
+
+    const keyword = latin1String(data.subarray(0, keywordEnd));
+
+    if (type === 'tEXt') {
+      entries[keyword] = latin1String(data.subarray(keywordEnd + 1));
+    } else if (type === 'iTXt') {
+      const compressed = data[keywordEnd + 1] !== 0;
+      const languageEnd = data.indexOf(0, keywordEnd + 3);
+      const translatedEnd = languageEnd === -1 ? -1 : data.indexOf(0, languageEnd + 1);
+
+      if (!compressed && translatedEnd !== -1) {
+        entries[keyword] = new TextDecoder().decode(data.subarray(translatedEnd + 1));
+      }
+    }
+  });
+
+  return entries;
+}
+
+// Same as addPngTextChunks, working on a base64 PNG data URL
+function addPngTextChunksToDataUrl(dataUrl, entries) {
+  const [prefix, base64] = dataUrl.split(',');
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+
+  const result = addPngTextChunks(bytes, entries);
+
+  let output = '';
+  for (let i = 0; i < result.length; i += 0x8000) {
+    output += String.fromCharCode.apply(null, result.subarray(i, i + 0x8000));
+  }
+
+  return prefix + ',' + btoa(output);
+}
@@ -5,14 +5,26 @@ document.addEventListener('DOMContentLoaded', () => {
   const DEST_SELECT = 'select';
   const DEST_CURRENT = 'current';
   const DEST_DOWNLOADS = 'downloads';
+  const DEST_CLIPBOARD = 'clipboard';
 
   // UI Elements
   const capturePageBtn = document.getElementById('capturePageBtn');
   const captureFullPageBtn = document.getElementById('captureFullPageBtn');
+  const captureRegionBtn = document.getElementById('captureRegionBtn');
+  const captureElementBtn = document.getElementById('captureElementBtn');
+  const captureContainerBtn = document.getElementById('captureContainerBtn');
+  const batchCaptureBtn = document.getElementById('batchCaptureBtn');
+  const schedulesBtn = document.getElementById('schedulesBtn');
+  const historyBtn = document.getElementById('historyBtn');
+  const uploadsBtn = document.getElementById('uploadsBtn');
+  const auditBtn = document.getElementById('auditBtn');
+  const compareBtn = document.getElementById('compareBtn');
+  const verifyFileBtn = document.getElementById('verifyFileBtn');
   const statusDiv = document.getElementById('status');
   const selectDestOption = document.getElementById('selectDestOption');
   const currentFolderOption = document.getElementById('currentFolderOption');
   const downloadsFolderOption = document.getElementById('downloadsFolderOption');
+  const clipboardOption = document.getElementById('clipboardOption');
   const currentFolderText = document.getElementById('currentFolderText');
 
   // Extension version
@@ -22,9 +34,20 @@ document.addEventListener('DOMContentLoaded', () => {
   function applyTranslations() {
     document.getElementById('captureVisiblePage').textContent = chrome.i18n.getMessage('captureVisiblePage');
     document.getElementById('captureFullPage').textContent = chrome.i18n.getMessage('captureFullPage');
+    document.getElementById('captureSelectedArea').textContent = chrome.i18n.getMessage('captureSelectedArea');
+    document.getElementById('captureElement').textContent = chrome.i18n.getMessage('captureElement');
+    document.getElementById('captureContainer').textContent = chrome.i18n.getMessage('captureContainer');
     document.getElementById('saveTo').textContent = chrome.i18n.getMessage('saveTo');
     document.getElementById('selectDestination').textContent = chrome.i18n.getMessage('selectDestination');
     document.getElementById('downloadsFolder').textContent = chrome.i18n.getMessage('downloadsFolder');
+    document.getElementById('copyToClipboard').textContent = chrome.i18n.getMessage('copyToClipboard');
+    document.getElementById('batchCapture').textContent = chrome.i18n.getMessage('batchCapture');
+    document.getElementById('scheduledCaptures').textContent = chrome.i18n.getMessage('scheduledCaptures');
+    document.getElementById('historyCaptures').textContent = chrome.i18n.getMessage('historyCaptures');
+    document.getElementById('uploadsMenu').textContent = chrome.i18n.getMessage('uploadsMenu');
+    document.getElementById('auditMenu').textContent = chrome.i18n.getMessage('auditMenu');
+    document.getElementById('compareCaptures').textContent = chrome.i18n.getMessage('compareCaptures');
+    document.getElementById('verifyFile').textContent = chrome.i18n.getMessage('verifyFile');
   }
 
   // Helper function to create translated error messages
@@ -74,6 +97,7 @@ document.addEventListener('DOMContentLoaded', () => {
       selectDestOption.checked = result.saveDestination === DEST_SELECT;
       currentFolderOption.checked = result.saveDestination === DEST_CURRENT;
       downloadsFolderOption.checked = result.saveDestination === DEST_DOWNLOADS;
+      clipboardOption.checked = result.saveDestination === DEST_CLIPBOARD;
 
       // Update current folder text
       if (result.lastDownloadFolder) {
@@ -165,7 +189,8 @@ document.addEventListener('DOMContentLoaded', () => {
       action: "capture",
       saveAs: saveAs,
       fullPage: fullPage,
-      useDownloadsFolder: useDownloadsFolder
+      useDownloadsFolder: useDownloadsFolder,
+      clipboard: clipboardOption.checked
     }, (response) => {
       if (chrome.runtime.lastError) {
         console.error("Error sending message:", chrome.runtime.lastError);
@@ -176,7 +201,10 @@ document.addEventListener('DOMContentLoaded', () => {
       }
 
       if (response && response.success) {
-        statusDiv.textContent = chrome.i18n.getMessage('screenshotSaved');
+        statusDiv.textContent = response.warning
+          ? chrome.i18n.getMessage('screenshotSavedWithWarning', [response.warning])
+          : chrome.i18n.getMessage('screenshotSaved');
+        showDestinationStatus(response.destinations);
 
         setTimeout(() => {
           chrome.storage.local.get(['saveDestination', 'lastDownloadFolder'], (result) => {
@@ -187,10 +215,11 @@ document.addEventListener('DOMContentLoaded', () => {
           captureFullPageBtn.classList.remove('active');
         }, 1000);
 
-        // Auto-close popup after success
-        setTimeout(() => window.close(), 2000);
+        // Auto-close popup after success, leaving time to read warnings
+        setTimeout(() => window.close(), response.warning ? 6000 : 2000);
       } else {
         statusDiv.textContent = getErrorMessage(response ? response.message : null);
+        showDestinationStatus(response && response.destinations);
         capturePageBtn.disabled = false;
         captureFullPageBtn.disabled = false;
 
@@ -202,6 +231,53 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  // Names of the destinations in the status
+  const DESTINATION_LABELS = {
+    download: chrome.i18n.getMessage('destinationDownload'),
+    bundle: chrome.i18n.getMessage('destinationBundle'),
+    clipboard: chrome.i18n.getMessage('destinationClipboard'),
+    upload: chrome.i18n.getMessage('destinationUpload'),
+    history: chrome.i18n.getMessage('destinationHistory')
+  };
+
+  // Add the outcome of each destination below the status. The history is
+  // only mentioned when it failed.
+  function showDestinationStatus(destinations) {
+    (destinations || []).forEach(destination => {
+      if (destination.type === 'history' && destination.success) {
+        return;
+      }
+      const line = document.createElement('div');
+      const label = DESTINATION_LABELS[destination.type] || destination.type;
+      line.className = destination.success ? 'destination-status' : 'destination-status failed';
+      if (!destination.success) {
+        line.textContent = chrome.i18n.getMessage('destinationFailed', [label, destination.message || '']);
+      } else if (destination.note) {
+        line.textContent = chrome.i18n.getMessage('destinationNote', [label, destination.note]);
+      } else {
+        line.textContent = chrome.i18n.getMessage('destinationSucceeded', [label]);
+      }
+      statusDiv.appendChild(line);
+    });
+  }
+
+  // Start an area or element selection in the page. The popup closes as soon as
+  // the page gets focus, so the capture itself is run by the background script.
+  function startPageSelection(action) {
+    chrome.runtime.sendMessage({ action: action }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        const message = chrome.runtime.lastError ? chrome.runtime.lastError.message : (response && response.message);
+        statusDiv.textContent = getErrorMessage(message);
+        setTimeout(() => {
+          setDefaultStatus();
+        }, 3000);
+        return;
+      }
+
+      window.close();
+    });
+  }
+
   // Verify background script is accessible
   chrome.runtime.sendMessage({action: "ping"}, response => {
     if (chrome.runtime.lastError) {
@@ -235,6 +311,12 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
+  clipboardOption.addEventListener('change', () => {
+    if (clipboardOption.checked) {
+      chrome.storage.local.set({ saveDestination: DEST_CLIPBOARD });
+    }
+  });
+
   // Make labels clickable for radio options
   document.querySelectorAll('.dest-item').forEach(item => {
     item.addEventListener('click', (e) => {
@@ -251,4 +333,53 @@ document.addEventListener('DOMContentLoaded', () => {
   // Button event listeners
   capturePageBtn.addEventListener('click', () => captureScreenshot(false));
   captureFullPageBtn.addEventListener('click', () => captureScreenshot(true));
+  captureRegionBtn.addEventListener('click', () => startPageSelection("startRegionSelection"));
+  captureElementBtn.addEventListener('click', () => startPageSelection("startElementSelection"));
+  captureContainerBtn.addEventListener('click', () => startPageSelection("startContainerSelection"));
+
+  // Open the batch page, with the window and the tabs selected in it
+  batchCaptureBtn.addEventListener('click', () => {
+    chrome.tabs.query({ currentWindow: true, highlighted: true }, (tabs) => {
+      const windowId = tabs.length > 0 ? tabs[0].windowId : '';
+      const tabIds = tabs.map(tab => tab.id).join(',');
+      chrome.tabs.create({ url: chrome.runtime.getURL(`batch.html?window=${windowId}&tabs=${tabIds}`) });
+      window.close();
+    });
+  });
+
+  // Open the scheduled captures page in a new tab
+  schedulesBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('schedules.html') });
+    window.close();
+  });
+
+  // Open the capture history in a new tab
+  historyBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+    window.close();
+  });
+
+  // Open the upload queue in a new tab
+  uploadsBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('uploads.html') });
+    window.close();
+  });
+
+  // Open the audit log in a new tab
+  auditBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('audit.html') });
+    window.close();
+  });
+
+  // Open the comparison page in a new tab
+  compareBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('compare.html') });
+    window.close();
+  });
+
+  // Open the verification page in a new tab
+  verifyFileBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('verify.html') });
+    window.close();
+  });
 });
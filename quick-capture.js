@@ -0,0 +1,170 @@
+// quick-capture.js - Captures started from keyboard shortcuts and context
+// menus, without the popup. Results are reported with notifications.
+
+// Commands of the manifest, also used as ids of the page context menu items
+const QUICK_CAPTURE_COMMANDS = [
+  'capture-visible',
+  'capture-full',
+  'capture-region',
+  'capture-element',
+  'capture-container'
+];
+
+// Context menu items for links and images
+const MENU_CAPTURE_LINK = 'capture-link';
+const MENU_CAPTURE_IMAGE = 'capture-image';
+
+// Names of the destinations in the notifications
+const NOTIFICATION_DESTINATION_LABELS = {
+  download: chrome.i18n.getMessage('destinationDownload'),
+  bundle: chrome.i18n.getMessage('destinationBundle'),
+  clipboard: chrome.i18n.getMessage('destinationClipboard'),
+  upload: chrome.i18n.getMessage('destinationUpload'),
+  history: chrome.i18n.getMessage('destinationHistory')
+};
+
+// Downloads shown when clicking the notification of a capture, by notification id
+const captureNotifications = new Map();
+
+// Report the result of a capture, with the destinations that failed
+function notifyCaptureResult(result) {
+  const lines = [];
+
+  if (result.success) {
+    lines.push(result.warning
+      ? chrome.i18n.getMessage('screenshotSavedWithWarning', [result.warning])
+      : chrome.i18n.getMessage('screenshotSaved'));
+    (result.destinations || []).filter(destination => !destination.success).forEach(destination => {
+      const label = NOTIFICATION_DESTINATION_LABELS[destination.type] || destination.type;
+      lines.push(chrome.i18n.getMessage('destinationFailed', [label, destination.message || '']));
+    });
+  } else {
+    lines.push(chrome.i18n.getMessage('error', [result.message || chrome.i18n.getMessage('unknownError')]));
+  }
+
+  chrome.notifications.create({
+    type: 'basic',
+    iconUrl: 'stampshot_128.png',
+    title: chrome.i18n.getMessage('appName'),
+    message: lines.join('\n')
+  }, (notificationId) => {
+    if (result.success && result.downloadId !== undefined) {
+      captureNotifications.set(notificationId, result.downloadId);
+    }
+  });
+}
+
+// Start a capture mode in the active tab with the saved destination
+// preference. Areas, elements and scrolling areas are selected in the page
+// first, and captured by handlePageSelection.
+async function startQuickCapture(command) {
+  try {
+    switch (command) {
+      case 'capture-region':
+        await startPageSelection('region-select.js');
+        return;
+      case 'capture-element':
+        await startPageSelection('element-picker.js');
+        return;
+      case 'capture-container':
+        await startPageSelection('element-picker.js', { _stampshotPickContainer: true });
+        return;
+    }
+
+    const saveOptions = await getSaveOptions();
+    notifyCaptureResult(await captureScreenshot(
+      command === 'capture-visible' ? CAPTURE_VISIBLE : CAPTURE_FULL,
+      saveOptions.saveAs,
+      saveOptions.useDownloadsFolder,
+      { destinations: saveOptions.destinations }
+    ));
+  } catch (error) {
+    console.error(chrome.i18n.getMessage('captureFailure', [error.message]), error);
+    notifyCaptureResult({ success: false, message: error.message });
+  }
+}
+
+// Open a link in a background tab, capture the full page and close the tab
+async function captureLink(url, windowId) {
+  try {
+    const saveOptions = await getSaveOptions();
+    notifyCaptureResult(await captureUrl(url, CAPTURE_FULL, windowId, saveOptions.useDownloadsFolder, {
+      destinations: saveOptions.destinations
+    }));
+  } catch (error) {
+    console.error(chrome.i18n.getMessage('captureFailure', [error.message]), error);
+    notifyCaptureResult({ success: false, message: error.message });
+  }
+}
+
+// Menus are kept by the browser, they are created once after installing or updating
+chrome.runtime.onInstalled.addListener(() => {
+  const titles = {
+    'capture-visible': chrome.i18n.getMessage('captureVisiblePage'),
+    'capture-full': chrome.i18n.getMessage('captureFullPage'),
+    'capture-region': chrome.i18n.getMessage('captureSelectedArea'),
+    'capture-element': chrome.i18n.getMessage('captureElement'),
+    'capture-container': chrome.i18n.getMessage('captureContainer')
+  };
+
+  chrome.menus.removeAll(() => {
+    QUICK_CAPTURE_COMMANDS.forEach(command => {
+      chrome.menus.create({ id: command, title: titles[command], contexts: ['page'] });
+    });
+    chrome.menus.create({
+      id: MENU_CAPTURE_LINK,
+      title: chrome.i18n.getMessage('captureLinkedPage'),
+      contexts: ['link']
+    });
+    chrome.menus.create({
+      id: MENU_CAPTURE_IMAGE,
+      title: chrome.i18n.getMessage('captureImage'),
+      contexts: ['image']
+    });
+  });
+});
+
+chrome.menus.onClicked.addListener((info, tab) => {
+  switch (info.menuItemId) {
+    case MENU_CAPTURE_LINK:
+      // Linked pages are captured in background tabs, which needs access to
+      // all sites. The request must be made while handling the click.
+      chrome.permissions.request({ origins: ['<all_urls>'] }, (granted) => {
+        if (granted) {
+          captureLink(info.linkUrl, tab.windowId);
+        } else {
+          notifyCaptureResult({ success: false, message: chrome.i18n.getMessage('batchPermissionDenied') });
+        }
+      });
+      break;
+
+    case MENU_CAPTURE_IMAGE:
+      // The picker captures the clicked image directly, or lets the user pick
+      // it when it is not found, as in frames
+      startPageSelection('element-picker.js', { _stampshotPickTarget: info.targetElementId })
+        .catch(error => notifyCaptureResult({ success: false, message: error.message }));
+      break;
+
+    default:
+      if (QUICK_CAPTURE_COMMANDS.includes(info.menuItemId)) {
+        startQuickCapture(info.menuItemId);
+      }
+  }
+});
+
+chrome.commands.onCommand.addListener((command) => {
+  if (QUICK_CAPTURE_COMMANDS.includes(command)) {
+    startQuickCapture(command);
+  }
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (captureNotifications.has(notificationId)) {
+    chrome.downloads.show(captureNotifications.get(notificationId));
+  }
+  chrome.notifications.clear(notificationId);
+});
+
+chrome.notifications.onClosed.addListener((notificationId) => {
+  captureNotifications.delete(notificationId);
+});
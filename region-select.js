@@ -0,0 +1,140 @@
+// region-select.js - Overlay letting the user drag a capture rectangle on the page
+
+(() => {
+  // Ignore repeated injections while a selection is in progress
+  if (window._stampshotRegionSelection) {
+    return;
+  }
+  window._stampshotRegionSelection = true;
+
+  // Distance from the viewport edge that triggers auto-scroll, and scroll step
+  const SCROLL_MARGIN = 30;
+  const SCROLL_STEP = 20;
+
+  const overlay = document.createElement('div');
+  overlay.style.cssText = 'position: fixed; top: 0; left: 0; width: 100vw; height: 100vh; ' +
+    'z-index: 2147483647; cursor: crosshair; background: rgba(0, 0, 0, 0.15);';
+
+  // The selection box is positioned in page coordinates so that it follows scrolling
+  const selectionBox = document.createElement('div');
+  selectionBox.style.cssText = 'position: absolute; z-index: 2147483647; display: none; ' +
+    'pointer-events: none; border: 2px dashed #1a73e8; background: rgba(26, 115, 232, 0.1); ' +
+    'box-sizing: border-box;';
+
+  let start = null;
+  let pointer = null;
+  let scrollTimer = null;
+
+  function pageWidth() {
+    return Math.max(document.documentElement.scrollWidth, document.body.scrollWidth);
+  }
+
+  function pageHeight() {
+    return Math.max(document.documentElement.scrollHeight, document.body.scrollHeight);
+  }
+
+  // Current pointer position in page coordinates, clamped to the page
+  function pointerPagePosition() {
+    return {
+      x: Math.min(Math.max(pointer.x + window.scrollX, 0), pageWidth()),
+      y: Math.min(Math.max(pointer.y + window.scrollY, 0), pageHeight())
+    };
+  }
+
+  function currentRect() {
+    const end = pointerPagePosition();
+    return {
+      x: Math.round(Math.min(start.x, end.x)),
+      y: Math.round(Math.min(start.y, end.y)),
+      width: Math.round(Math.abs(end.x - start.x)),
+      height: Math.round(Math.abs(end.y - start.y))
+    };
+  }
+
+  function updateSelectionBox() {
+    const rect = currentRect();
+    selectionBox.style.display = 'block';
+    selectionBox.style.left = rect.x + 'px';
+    selectionBox.style.top = rect.y + 'px';
+    selectionBox.style.width = rect.width + 'px';
+    selectionBox.style.height = rect.height + 'px';
+  }
+
+  // Scroll the page while the pointer is held near the viewport edges
+  function autoScroll() {
+    if (!start || !pointer) {
+      return;
+    }
+
+    let dx = 0;
+    let dy = 0;
+    if (pointer.x < SCROLL_MARGIN) dx = -SCROLL_STEP;
+    if (pointer.x > window.innerWidth - SCROLL_MARGIN) dx = SCROLL_STEP;
+    if (pointer.y < SCROLL_MARGIN) dy = -SCROLL_STEP;
+    if (pointer.y > window.innerHeight - SCROLL_MARGIN) dy = SCROLL_STEP;
+
+    if (dx || dy) {
+      window.scrollBy(dx, dy);
+      updateSelectionBox();
+    }
+  }
+
+  function cleanUp() {
+    clearInterval(scrollTimer);
+    overlay.remove();
+    selectionBox.remove();
+    document.removeEventListener('keydown', onKeyDown, true);
+    delete window._stampshotRegionSelection;
+  }
+
+  function onKeyDown(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      cleanUp();
+    }
+  }
+
+  overlay.addEventListener('mousedown', (e) => {
+    if (e.button !== 0) {
+      return;
+    }
+    e.preventDefault();
+    pointer = { x: e.clientX, y: e.clientY };
+    start = pointerPagePosition();
+    updateSelectionBox();
+    scrollTimer = setInterval(autoScroll, 30);
+  });
+
+  overlay.addEventListener('mousemove', (e) => {
+    pointer = { x: e.clientX, y: e.clientY };
+    if (start) {
+      updateSelectionBox();
+    }
+  });
+
+  overlay.addEventListener('mouseup', (e) => {
+    if (!start) {
+      return;
+    }
+    pointer = { x: e.clientX, y: e.clientY };
+    const rect = currentRect();
+    cleanUp();
+
+    // Ignore simple clicks
+    if (rect.width < 5 || rect.height < 5) {
+      return;
+    }
+
+    // Let the page repaint without the overlay before capturing
+    requestAnimationFrame(() => {
+      requestAnimationFrame(() => {
+        chrome.runtime.sendMessage({ action: 'regionSelected', region: rect });
+      });
+    });
+  });
+
+  document.addEventListener('keydown', onKeyDown, true);
+  document.documentElement.appendChild(selectionBox);
+  document.documentElement.appendChild(overlay);
+})();
@@ -0,0 +1,199 @@
+// review.js - Review of captures in the annotation editor before saving
+
+const REVIEW_DB_NAME = 'stampshot-reviews';
+const REVIEW_STORE = 'reviews';
+
+// Captures open in the editor are kept in IndexedDB, so that they survive the
+// background page being suspended or reloaded while the user is annotating.
+// Each record is { id, image (PNG Blob), tab, capturedAt (ISO string),
+// headerLines, settings, metadata, destinations, editorTabId }.
+let reviewDb = null;
+
+function openReviewDb() {
+  if (!reviewDb) {
+    reviewDb = new Promise((resolve, reject) => {
+      const request = indexedDB.open(REVIEW_DB_NAME, 1);
+
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(REVIEW_STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('editorTabId', 'editorTabId');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return reviewDb;
+}
+
+// Run a request on the review store and resolve with its result
+async function reviewRequest(mode, makeRequest) {
+  const db = await openReviewDb();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(REVIEW_STORE, mode);
+    const request = makeRequest(transaction.objectStore(REVIEW_STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+// Callbacks of the captures waiting for their review, by review id. They are
+// lost with the background page, the editor can still save the capture then.
+const reviewResolvers = new Map();
+
+// Open a captured canvas, before the header is added, in the editor page.
+// Resolves with the result of deliverScreenshot and the rendering warnings
+// once saved, or with a failure when the editor is closed without saving.
+async function reviewCapture(capture) {
+  const image = await new Promise(resolve => capture.canvas.toBlob(resolve, 'image/png'));
+  const id = await reviewRequest('readwrite', store => store.add({
+    image: image,
+    tab: capture.tab,
+    capturedAt: capture.capturedAt.toISOString(),
+    headerLines: capture.headerLines,
+    settings: capture.settings,
+    metadata: capture.metadata,
+    destinations: capture.destinations,
+    editorTabId: null
+  }));
+
+  return new Promise((resolve, reject) => {
+    reviewResolvers.set(id, resolve);
+
+    chrome.tabs.create({ url: chrome.runtime.getURL(`annotate.html?id=${id}`) }, async (tab) => {
+      if (chrome.runtime.lastError) {
+        const message = chrome.runtime.lastError.message;
+        reviewResolvers.delete(id);
+        await deleteReview(id);
+        reject(new Error(message));
+        return;
+      }
+      await updateReview(id, { editorTabId: tab.id });
+    });
+  });
+}
+
+async function getPendingReview(id) {
+  const review = await reviewRequest('readonly', store => store.get(id));
+  if (!review) {
+    throw new Error(chrome.i18n.getMessage('reviewExpired'));
+  }
+  return review;
+}
+
+async function updateReview(id, changes) {
+  const review = await reviewRequest('readonly', store => store.get(id));
+  if (review) {
+    await reviewRequest('readwrite', store => store.put(Object.assign(review, changes)));
+  }
+}
+
+function deleteReview(id) {
+  return reviewRequest('readwrite', store => store.delete(id));
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// Header lines of a reviewed capture, marked as annotated, and as redacted
+// when areas were blacked out in the editor
+function reviewHeaderLines(review, redactedAreas = 0) {
+  const lines = review.headerLines.concat([chrome.i18n.getMessage('annotatedHeaderLine')]);
+  if (redactedAreas > 0) {
+    lines.push(chrome.i18n.getMessage('manualRedactedHeaderLine', [String(redactedAreas)]));
+  }
+  return lines;
+}
+
+// Capture and header preview shown in the editor. The header is drawn
+// separately, it is added again to the edited image when saving.
+async function getReview(id) {
+  const review = await getPendingReview(id);
+  const image = await createImageBitmap(review.image);
+  const layout = await buildHeaderLayout(
+    review.tab, image.width, new Date(review.capturedAt), reviewHeaderLines(review), review.settings, review.metadata.scale
+  );
+
+  const header = document.createElement('canvas');
+  header.width = layout.width;
+  header.height = layout.height;
+  drawHeader(header.getContext('2d'), layout, 0);
+
+  return {
+    success: true,
+    imageDataUrl: await blobToDataUrl(review.image),
+    headerDataUrl: header.toDataURL('image/png'),
+    headerPosition: review.settings.headerPosition === 'bottom' ? 'bottom' : 'top',
+    scale: review.metadata.scale || 1,
+    url: review.metadata.url
+  };
+}
+
+// Save the edited image like the original capture, with the header added
+// again. annotation describes the edits and is recorded in the metadata.
+async function saveReview(id, dataUrl, annotation) {
+  const review = await getPendingReview(id);
+  const image = await loadImage(dataUrl);
+  const canvas = document.createElement('canvas');
+  canvas.width = image.width;
+  canvas.height = image.height;
+  canvas.getContext('2d').drawImage(image, 0, 0);
+
+  const redactedAreas = annotation.tools.redact || 0;
+  const metadata = Object.assign({}, review.metadata, { annotation: annotation });
+  if (redactedAreas > 0) {
+    metadata.redaction = Object.assign({}, review.metadata.redaction, { manualAreas: redactedAreas });
+  }
+
+  const capturedAt = new Date(review.capturedAt);
+  const output = await renderScreenshot(
+    canvas, review.tab, capturedAt, reviewHeaderLines(review, redactedAreas), review.settings, metadata
+  );
+  const result = await deliverScreenshot(output.blob, review.destinations, metadata, output.sidecars);
+  if (!result.success) {
+    return result;
+  }
+
+  await deleteReview(id);
+  const resolve = reviewResolvers.get(id);
+  if (resolve) {
+    reviewResolvers.delete(id);
+    resolve(Object.assign({}, result, { warnings: output.warnings }));
+  } else {
+    // The capture request ended with the background page, log the capture here
+    // and report a failure to log it, as the editor closes once saved
+    await logCapture(Object.assign({ url: review.tab.url, mode: review.metadata.mode }, result), result);
+    if (result.warning) {
+      notifyCaptureResult(result);
+    }
+  }
+  return { success: true, filename: result.filename, destinations: result.destinations, warnings: output.warnings };
+}
+
+async function cancelReview(id) {
+  await deleteReview(id);
+  const resolve = reviewResolvers.get(id);
+  if (resolve) {
+    reviewResolvers.delete(id);
+    resolve({ success: false, message: chrome.i18n.getMessage('reviewCancelled'), warnings: [] });
+  }
+}
+
+// Closing the editor without saving cancels the review
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  const ids = await reviewRequest('readonly', store => store.index('editorTabId').getAllKeys(tabId));
+  for (const id of ids) {
+    await cancelReview(id);
+  }
+});
+
+// Editor tabs do not survive a browser restart with the same ids
+chrome.runtime.onStartup.addListener(() => {
+  reviewRequest('readwrite', store => store.clear());
+});
@@ -0,0 +1,183 @@
+// scheduler.js - Periodic captures of a page, run with the alarms API
+
+const SCHEDULE_ALARM_PREFIX = 'schedule_';
+
+// Length of each interval unit in minutes
+const SCHEDULE_UNITS = {
+  minutes: 1,
+  hours: 60,
+  days: 1440
+};
+
+// Schedules are stored in chrome.storage.local as an array of
+// { id, url, mode, interval, unit, subfolderTemplate, filenameTemplate, paused,
+//   created, lastRun, lastStatus, lastFile, lastError }
+function getSchedules() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['schedules'], (result) => {
+      resolve(result.schedules || []);
+    });
+  });
+}
+
+// Changes to the stored schedules are made one after the other, so that
+// captures finishing at the same time do not overwrite each other's status
+let scheduleUpdates = Promise.resolve();
+
+function updateSchedules(update) {
+  const run = scheduleUpdates.then(async () => {
+    const schedules = await getSchedules();
+    const result = update(schedules);
+    await new Promise(resolve => chrome.storage.local.set({ schedules: schedules }, resolve));
+    return result;
+  });
+  scheduleUpdates = run.catch(() => {});
+  return run;
+}
+
+function schedulePeriod(schedule) {
+  return schedule.interval * SCHEDULE_UNITS[schedule.unit];
+}
+
+// Add a schedule from the properties entered on the schedules page
+async function createSchedule(properties) {
+  try {
+    if (!['http:', 'https:', 'file:'].includes(new URL(properties.url).protocol)) {
+      throw new Error();
+    }
+  } catch (e) {
+    throw new Error(chrome.i18n.getMessage('scheduleInvalidUrl'));
+  }
+
+  const interval = Math.floor(Number(properties.interval));
+  if (!(interval >= 1) || !SCHEDULE_UNITS[properties.unit]) {
+    throw new Error(chrome.i18n.getMessage('scheduleInvalidInterval'));
+  }
+
+  const schedule = {
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    url: properties.url,
+    mode: properties.mode === CAPTURE_VISIBLE ? CAPTURE_VISIBLE : CAPTURE_FULL,
+    interval: interval,
+    unit: properties.unit,
+    subfolderTemplate: properties.subfolderTemplate || '',
+    filenameTemplate: properties.filenameTemplate || '',
+    paused: false,
+    created: new Date().toISOString()
+  };
+
+  await updateSchedules(schedules => schedules.push(schedule));
+  await syncScheduleAlarms();
+  return schedule;
+}
+
+async function setSchedulePaused(id, paused) {
+  await updateSchedules(schedules => {
+    const schedule = schedules.find(item => item.id === id);
+    if (schedule) {
+      schedule.paused = paused;
+    }
+  });
+  await syncScheduleAlarms();
+}
+
+async function deleteSchedule(id) {
+  await updateSchedules(schedules => {
+    const index = schedules.findIndex(item => item.id === id);
+    if (index !== -1) {
+      schedules.splice(index, 1);
+    }
+  });
+  await syncScheduleAlarms();
+}
+
+// Schedules being captured, not to start a run twice
+const runningSchedules = new Set();
+
+// Capture the page of a schedule in a background tab, and record the outcome
+async function runSchedule(id) {
+  const schedule = (await getSchedules()).find(item => item.id === id);
+  if (!schedule || runningSchedules.has(id)) {
+    return;
+  }
+
+  runningSchedules.add(id);
+  let result;
+
+  try {
+    // Empty templates keep the ones of the options
+    const settingsOverrides = {};
+    if (schedule.subfolderTemplate) {
+      settingsOverrides.subfolderTemplate = schedule.subfolderTemplate;
+    }
+    if (schedule.filenameTemplate) {
+      settingsOverrides.filenameTemplate = schedule.filenameTemplate;
+    }
+
+    result = await captureUrl(schedule.url, schedule.mode, undefined, await useDownloadsFolderUnattended(), {
+      settingsOverrides: settingsOverrides
+    });
+  } catch (error) {
+    result = { success: false, message: error.message };
+  } finally {
+    runningSchedules.delete(id);
+  }
+
+  if (!result.success) {
+    console.error(chrome.i18n.getMessage('captureFailure', [result.message]));
+  }
+
+  await updateSchedules(schedules => {
+    const stored = schedules.find(item => item.id === id);
+    if (stored) {
+      Object.assign(stored, {
+        lastRun: new Date().toISOString(),
+        lastStatus: result.success ? 'success' : 'failed',
+        lastFile: result.filename || '',
+        lastError: result.success ? (result.warning || '') : result.message
+      });
+    }
+  });
+}
+
+// Make the alarms match the stored schedules. Alarms do not survive browser
+// restarts, so missing ones are created again, due one period after the last run.
+async function syncScheduleAlarms() {
+  const schedules = await getSchedules();
+  const alarms = await new Promise(resolve => chrome.alarms.getAll(resolve));
+
+  for (const alarm of alarms) {
+    if (!alarm.name.startsWith(SCHEDULE_ALARM_PREFIX)) {
+      continue;
+    }
+    const schedule = schedules.find(item => SCHEDULE_ALARM_PREFIX + item.id === alarm.name);
+    if (!schedule || schedule.paused || alarm.periodInMinutes !== schedulePeriod(schedule)) {
+      chrome.alarms.clear(alarm.name);
+    }
+  }
+
+  for (const schedule of schedules) {
+    const name = SCHEDULE_ALARM_PREFIX + schedule.id;
+    const period = schedulePeriod(schedule);
+    const existing = alarms.find(alarm => alarm.name === name && alarm.periodInMinutes === period);
+
+    if (schedule.paused || existing) {
+      continue;
+    }
+
+    const lastRun = Date.parse(schedule.lastRun || schedule.created);
+    chrome.alarms.create(name, {
+      when: Math.max(lastRun + period * 60000, Date.now() + 1000),
+      periodInMinutes: period
+    });
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name.startsWith(SCHEDULE_ALARM_PREFIX)) {
+    runSchedule(alarm.name.slice(SCHEDULE_ALARM_PREFIX.length));
+  }
+});
+
+chrome.runtime.onStartup.addListener(syncScheduleAlarms);
+syncScheduleAlarms();
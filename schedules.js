@@ -0,0 +1,144 @@
+// schedules.js - Scheduled captures page controller
+
+document.addEventListener('DOMContentLoaded', () => {
+  // UI Elements
+  const urlInput = document.getElementById('scheduleUrl');
+  const modeSelect = document.getElementById('scheduleMode');
+  const intervalInput = document.getElementById('scheduleInterval');
+  const unitSelect = document.getElementById('scheduleUnit');
+  const subfolderInput = document.getElementById('scheduleSubfolder');
+  const filenameInput = document.getElementById('scheduleFilename');
+  const createBtn = document.getElementById('createBtn');
+  const errorDiv = document.getElementById('error');
+  const schedulesTable = document.getElementById('schedules');
+  const noSchedules = document.getElementById('noSchedules');
+
+  const UNIT_LABELS = {
+    minutes: chrome.i18n.getMessage('scheduleMinutes'),
+    hours: chrome.i18n.getMessage('scheduleHours'),
+    days: chrome.i18n.getMessage('scheduleDays')
+  };
+
+  // Localization - Apply translations
+  document.querySelectorAll('[data-i18n]').forEach(element => {
+    const message = chrome.i18n.getMessage(element.dataset.i18n);
+    if (message) {
+      element.textContent = message;
+    }
+  });
+
+  function showError(message) {
+    errorDiv.textContent = message ? chrome.i18n.getMessage('error', [message]) : '';
+  }
+
+  // Send a schedule action to the background script
+  function sendScheduleAction(message, onSuccess) {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        showError(chrome.runtime.lastError ? chrome.runtime.lastError.message : (response && response.message));
+        return;
+      }
+      showError(null);
+      if (onSuccess) {
+        onSuccess();
+      }
+    });
+  }
+
+  function addButton(cell, label, onClick) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    cell.appendChild(button);
+  }
+
+  // Describe the last run of a schedule
+  function lastRunText(schedule) {
+    if (!schedule.lastRun) {
+      return chrome.i18n.getMessage('scheduleNeverRun');
+    }
+    const date = new Date(schedule.lastRun).toLocaleString();
+    const detail = schedule.lastStatus === 'success' ? schedule.lastFile : schedule.lastError;
+    return chrome.i18n.getMessage(
+      schedule.lastStatus === 'success' ? 'scheduleLastRunSuccess' : 'scheduleLastRunFailed',
+      [date, detail || '']
+    );
+  }
+
+  // List the schedules with their status and actions
+  function render(schedules) {
+    schedulesTable.textContent = '';
+    noSchedules.hidden = schedules.length > 0;
+
+    schedules.forEach(schedule => {
+      const row = schedulesTable.insertRow();
+      row.className = schedule.paused ? 'paused' : '';
+
+      const descriptionCell = row.insertCell();
+      descriptionCell.textContent = schedule.url;
+
+      const every = document.createElement('div');
+      every.className = 'detail';
+      every.textContent = chrome.i18n.getMessage('scheduleSummary', [
+        String(schedule.interval),
+        UNIT_LABELS[schedule.unit],
+        schedule.subfolderTemplate || '-'
+      ]) + (schedule.paused ? ' - ' + chrome.i18n.getMessage('schedulePaused') : '');
+      descriptionCell.appendChild(every);
+
+      const lastRun = document.createElement('div');
+      lastRun.className = schedule.lastStatus === 'failed' ? 'detail failed' : 'detail';
+      lastRun.textContent = lastRunText(schedule);
+      descriptionCell.appendChild(lastRun);
+
+      const actionsCell = row.insertCell();
+      actionsCell.className = 'actions';
+      addButton(actionsCell, chrome.i18n.getMessage('scheduleRunNow'), () => {
+        sendScheduleAction({ action: 'runSchedule', id: schedule.id });
+      });
+      addButton(actionsCell, chrome.i18n.getMessage(schedule.paused ? 'scheduleResume' : 'schedulePause'), () => {
+        sendScheduleAction({ action: 'pauseSchedule', id: schedule.id, paused: !schedule.paused });
+      });
+      addButton(actionsCell, chrome.i18n.getMessage('scheduleDelete'), () => {
+        if (confirm(chrome.i18n.getMessage('scheduleDeleteConfirm', [schedule.url]))) {
+          sendScheduleAction({ action: 'deleteSchedule', id: schedule.id });
+        }
+      });
+    });
+  }
+
+  function loadSchedules() {
+    chrome.storage.local.get(['schedules'], (result) => render(result.schedules || []));
+  }
+
+  createBtn.addEventListener('click', () => {
+    const schedule = {
+      url: urlInput.value.trim(),
+      mode: modeSelect.value,
+      interval: intervalInput.value,
+      unit: unitSelect.value,
+      subfolderTemplate: subfolderInput.value.trim(),
+      filenameTemplate: filenameInput.value.trim()
+    };
+
+    // Pages are captured in background tabs, which needs access to all sites
+    chrome.permissions.request({ origins: ['<all_urls>'] }, (granted) => {
+      if (!granted) {
+        showError(chrome.i18n.getMessage('batchPermissionDenied'));
+        return;
+      }
+      sendScheduleAction({ action: 'createSchedule', schedule: schedule }, () => {
+        urlInput.value = '';
+      });
+    });
+  });
+
+  // Schedules are updated by the background script after each run
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.schedules) {
+      render(changes.schedules.newValue || []);
+    }
+  });
+
+  loadSchedules();
+});
@@ -0,0 +1,82 @@
+// server-response.js - Record the HTTP Date header and status of each tab's document
+
+// Storage key holding the last main-frame response of a tab
+function serverResponseKey(tabId) {
+  return 'serverResponse_' + tabId;
+}
+
+// Record the final response of every main-frame document. Responses from the
+// cache carry the Date header of the original response, they are not recorded.
+chrome.webRequest.onCompleted.addListener((details) => {
+  if (details.tabId < 0 || details.fromCache) {
+    return;
+  }
+
+  const dateHeader = (details.responseHeaders || [])
+    .find(header => header.name.toLowerCase() === 'date');
+
+  chrome.storage.session.set({
+    [serverResponseKey(details.tabId)]: {
+      url: details.url,
+      statusCode: details.statusCode,
+      date: dateHeader ? dateHeader.value : null,
+      receivedAt: details.timeStamp
+    }
+  });
+}, { urls: ['<all_urls>'], types: ['main_frame'] }, ['responseHeaders']);
+
+// Forget responses of closed tabs
+chrome.tabs.onRemoved.addListener((tabId) => {
+  chrome.storage.session.remove(serverResponseKey(tabId));
+});
+
+// URL without its fragment, which changes without loading the document
+function stripUrlFragment(url) {
+  return (url || '').split('#')[0];
+}
+
+// Get the recorded server response of a tab with its clock skew, or null when
+// none was recorded for the document now shown in the tab
+async function getServerResponse(tab) {
+  const key = serverResponseKey(tab.id);
+  const result = await chrome.storage.session.get(key);
+  const response = result[key];
+
+  if (!response || stripUrlFragment(response.url) !== stripUrlFragment(tab.url)) {
+    return null;
+  }
+
+  const serverResponse = {
+    url: response.url,
+    statusCode: response.statusCode,
+    date: response.date,
+    dateIso: null,
+    clockSkewSeconds: null,
+    receivedAt: new Date(response.receivedAt).toISOString()
+  };
+
+  const serverTime = response.date ? Date.parse(response.date) : NaN;
+  if (!isNaN(serverTime)) {
+    serverResponse.dateIso = new Date(serverTime).toISOString();
+    // Positive when the local clock is ahead of the server
+    serverResponse.clockSkewSeconds = Math.round((response.receivedAt - serverTime) / 1000);
+  }
+
+  return serverResponse;
+}
+
+// Format the header line showing the server time and local clock skew
+function formatServerTimeLine(serverResponse) {
+  if (!serverResponse.dateIso) {
+    return chrome.i18n.getMessage('serverTimeUnavailable', [String(serverResponse.statusCode)]);
+  }
+
+  const skew = serverResponse.clockSkewSeconds;
+  const skewText = (skew >= 0 ? '+' : '-') + Math.abs(skew) + 's';
+
+  return chrome.i18n.getMessage('serverTimeLine', [
+    formatHeaderDate(new Date(serverResponse.dateIso)),
+    String(serverResponse.statusCode),
+    skewText
+  ]);
+}
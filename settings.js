@@ -0,0 +1,77 @@
+// settings.js - User preferences shared by the background script and extension pages
+
+// Default values for every option stored in chrome.storage.local
+const DEFAULT_SETTINGS = {
+  exportScale: 'native',
+  exportScaleValue: 2,
+  outputFormat: 'png',
+  outputQuality: 0.92,
+  pdfPageSize: 'a4',
+  detectScrollContainer: true,
+  prepareFullPage: true,
+  settleTimeout: 10,
+  maxScrollExpansions: 3,
+  fixedElements: 'first',
+  suppressOverlays: false,
+  suppressSelectors: [
+    '#onetrust-consent-sdk',
+    '#CybotCookiebotDialog',
+    '#didomi-host',
+    '#axeptio_overlay',
+    '.qc-cmp2-container',
+    '.cc-window',
+    '#intercom-container',
+    '.intercom-lightweight-app',
+    '#hubspot-messages-iframe-container',
+    '#crisp-chatbox',
+    '.drift-frame-controller'
+  ].join('\n'),
+  filenameTemplate: 'screenshot-{date:YYYYMMDD}-{time:HHmmss}-{url}',
+  subfolderTemplate: '',
+  headerTemplate: '{url}\n{date_local}',
+  headerPosition: 'top',
+  headerFont: '',
+  headerBackground: '#f1f1f1',
+  headerTextColor: '#333333',
+  headerBorderColor: '#cccccc',
+  headerWrap: false,
+  headerMaxLines: 0,
+  headerUser: '',
+  caseId: '',
+  showServerTime: false,
+  tsaEnabled: false,
+  tsaUrl: '',
+  historyEnabled: true,
+  historyKeepFiles: true,
+  historyMaxFiles: 20,
+  historyMaxEntries: 200,
+  historyMaxDays: 0,
+  evidenceBundle: false,
+  reviewBeforeSave: false,
+  redactionMode: 'off',
+  redactFields: true,
+  redactPatterns: true,
+  redactSelectors: '',
+  uploadEnabled: false,
+  uploadMethod: 'post',
+  uploadUrl: '',
+  uploadHeaders: '',
+  uploadUsername: '',
+  uploadPassword: '',
+  uploadMaxAttempts: 5
+};
+
+// Load all options, falling back to defaults
+function getSettings() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(Object.keys(DEFAULT_SETTINGS), (result) => {
+      const settings = Object.assign({}, DEFAULT_SETTINGS, result);
+      // Blurring was offered for redaction before, it left short text such as
+      // PINs and amounts readable: such settings black out instead
+      if (settings.redactionMode === 'blur') {
+        settings.redactionMode = 'black';
+      }
+      resolve(settings);
+    });
+  });
+}
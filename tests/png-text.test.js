@@ -0,0 +1,90 @@
+// png-text.test.js - Round trip of the PNG text chunks, run with
+// node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// png-text.js is a classic script sharing its functions as globals
+const context = vm.createContext({ TextEncoder, TextDecoder, atob, btoa });
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'png-text.js'), 'utf8'), context);
+const pngText = context;
+
+// Smallest PNG file: a 1x1 greyscale image
+function buildTestPng() {
+  const header = new Uint8Array([0, 0, 0, 1, 0, 0, 0, 1, 8, 0, 0, 0, 0]);
+  const pixels = new Uint8Array([0x78, 0x9C, 0x63, 0x60, 0x00, 0x00, 0x00, 0x02, 0x00, 0x01]);
+
+  return pngText.concatBytes([
+    // Top-level constants are not properties of the context
+    vm.runInContext('PNG_SIGNATURE', context),
+    pngText.buildPngChunk('IHDR', header),
+    pngText.buildPngChunk('IDAT', pixels),
+    pngText.buildPngChunk('IEND', new Uint8Array(0))
+  ]);
+}
+
+// Types of the chunks of a PNG file, in order
+function chunkTypes(bytes) {
+  const types = [];
+  pngText.forEachPngChunk(bytes, (type) => {
+    types.push(type);
+  });
+  return types;
+}
+
+test('ASCII values are written as tEXt and read back', () => {
+  const entries = { 'Title': 'Example page', 'URL': 'https://example.com/a?b=1#c' };
+  const bytes = pngText.addPngTextChunks(buildTestPng(), entries);
+
+  assert.deepStrictEqual(chunkTypes(bytes), ['IHDR', 'tEXt', 'tEXt', 'IDAT', 'IEND']);
+  assert.deepStrictEqual({ ...pngText.readPngTextChunks(bytes) }, entries);
+});
+
+test('non-ASCII values are written as iTXt and read back', () => {
+  const entries = { 'Title': 'Café – 日本語 🙂' };
+  const bytes = pngText.addPngTextChunks(buildTestPng(), entries);
+
+  assert.deepStrictEqual(chunkTypes(bytes), ['IHDR', 'iTXt', 'IDAT', 'IEND']);
+  assert.deepStrictEqual({ ...pngText.readPngTextChunks(bytes) }, entries);
+});
+
+test('values with control characters are written as iTXt', () => {
+  const entries = { 'Title': 'a\tb\rc', 'Comment': 'line 1\nline 2' };
+  const bytes = pngText.addPngTextChunks(buildTestPng(), entries);
+
+  assert.deepStrictEqual(chunkTypes(bytes), ['IHDR', 'iTXt', 'tEXt', 'IDAT', 'IEND']);
+  assert.deepStrictEqual({ ...pngText.readPngTextChunks(bytes) }, entries);
+});
+
+test('NUL characters are removed from values', () => {
+  const bytes = pngText.addPngTextChunks(buildTestPng(), { 'Title': 'a\u0000b', 'Comment': 'é\u0000' });
+
+  assert.deepStrictEqual(chunkTypes(bytes), ['IHDR', 'tEXt', 'iTXt', 'IDAT', 'IEND']);
+  assert.deepStrictEqual({ ...pngText.readPngTextChunks(bytes) }, { 'Title': 'ab', 'Comment': 'é' });
+
+  // Only the separators are zero: one in tEXt, five in uncompressed iTXt
+  const zeros = {};
+  pngText.forEachPngChunk(bytes, (type, data) => {
+    zeros[type] = data.filter(byte => byte === 0).length;
+  });
+  assert.strictEqual(zeros['tEXt'], 1);
+  assert.strictEqual(zeros['iTXt'], 5);
+});
+
+test('empty values are left out', () => {
+  const bytes = pngText.addPngTextChunks(buildTestPng(), { 'Title': '', 'URL': null, 'Mode': undefined });
+
+  assert.deepStrictEqual(chunkTypes(bytes), ['IHDR', 'IDAT', 'IEND']);
+});
+
+test('chunks added to a data URL are read back', () => {
+  const png = buildTestPng();
+  const dataUrl = 'data:image/png;base64,' + Buffer.from(png).toString('base64');
+  const result = pngText.addPngTextChunksToDataUrl(dataUrl, { 'Software': 'StampShot 1.0' });
+  const bytes = new Uint8Array(Buffer.from(result.split(',')[1], 'base64'));
+
+  assert.strictEqual(pngText.readPngTextChunks(bytes)['Software'], 'StampShot 1.0');
+});
@@ -0,0 +1,201 @@
+// tsa.js - RFC 3161 trusted timestamps from a Time Stamping Authority
+
+// Object identifier of the SHA-256 hash algorithm
+const SHA256_OID = '2.16.840.1.101.3.4.2.1';
+
+// DER tags used by timestamp requests and responses
+const DER_INTEGER = 0x02;
+const DER_OCTET_STRING = 0x04;
+const DER_NULL = 0x05;
+const DER_OID = 0x06;
+const DER_BOOLEAN = 0x01;
+const DER_SEQUENCE = 0x30;
+const DER_GENERALIZED_TIME = 0x18;
+const DER_CONTEXT_0 = 0xA0;
+
+// Encode a tag, length and content as a DER element
+function derEncode(tag, content) {
+  const length = content.length;
+  let lengthBytes;
+
+  if (length < 0x80) {
+    lengthBytes = [length];
+  } else {
+    lengthBytes = [];
+    for (let n = length; n > 0; n = Math.floor(n / 256)) {
+      lengthBytes.unshift(n & 0xFF);
+    }
+    lengthBytes.unshift(0x80 | lengthBytes.length);
+  }
+
+  const result = new Uint8Array(1 + lengthBytes.length + length);
+  result[0] = tag;
+  result.set(lengthBytes, 1);
+  result.set(content, 1 + lengthBytes.length);
+  return result;
+}
+
+function derSequence(elements) {
+  const length = elements.reduce((total, element) => total + element.length, 0);
+  const content = new Uint8Array(length);
+  let offset = 0;
+  elements.forEach(element => {
+    content.set(element, offset);
+    offset += element.length;
+  });
+  return derEncode(DER_SEQUENCE, content);
+}
+
+function derOid(oid) {
+  const parts = oid.split('.').map(Number);
+  const bytes = [parts[0] * 40 + parts[1]];
+
+  parts.slice(2).forEach(part => {
+    const encoded = [part & 0x7F];
+    for (let n = Math.floor(part / 128); n > 0; n = Math.floor(n / 128)) {
+      encoded.unshift(0x80 | (n & 0x7F));
+    }
+    bytes.push(...encoded);
+  });
+
+  return derEncode(DER_OID, new Uint8Array(bytes));
+}
+
+// Parse the DER element starting at offset
+function derDecode(bytes, offset = 0) {
+  if (offset + 2 > bytes.length) {
+    throw new Error("Truncated DER data");
+  }
+
+  const tag = bytes[offset];
+  let length = bytes[offset + 1];
+  let headerLength = 2;
+
+  if (length & 0x80) {
+    const count = length & 0x7F;
+    length = 0;
+    for (let i = 0; i < count; i++) {
+      length = length * 256 + bytes[offset + 2 + i];
+    }
+    headerLength += count;
+  }
+
+  const start = offset + headerLength;
+  const end = start + length;
+  if (end > bytes.length) {
+    throw new Error("Truncated DER data");
+  }
+
+  return { tag, start, end, content: bytes.subarray(start, end) };
+}
+
+// List the elements nested inside a constructed DER element
+function derChildren(element) {
+  const children = [];
+  let offset = 0;
+  while (offset < element.content.length) {
+    const child = derDecode(element.content, offset);
+    children.push(child);
+    offset = child.end;
+  }
+  return children;
+}
+
+function bytesEqual(a, b) {
+  return a.length === b.length && a.every((value, i) => value === b[i]);
+}
+
+// Strip leading zero bytes so that integers can be compared
+function trimInteger(bytes) {
+  let i = 0;
+  while (i < bytes.length - 1 && bytes[i] === 0) {
+    i++;
+  }
+  return bytes.subarray(i);
+}
+
+// Build a DER TimeStampReq for a SHA-256 digest
+function buildTimeStampRequest(digest, nonce) {
+  return derSequence([
+    derEncode(DER_INTEGER, new Uint8Array([1])),
+    derSequence([
+      derSequence([derOid(SHA256_OID), derEncode(DER_NULL, new Uint8Array(0))]),
+      derEncode(DER_OCTET_STRING, digest)
+    ]),
+    derEncode(DER_INTEGER, nonce),
+    derEncode(DER_BOOLEAN, new Uint8Array([0xFF]))
+  ]);
+}
+
+// Convert a GeneralizedTime value (YYYYMMDDHHMMSS[.fff]Z) to ISO-8601
+function generalizedTimeToIso(value) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\.\d+)?Z$/);
+  if (!match) {
+    return value;
+  }
+  return `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}${match[7] || ''}Z`;
+}
+
+// Check a TimeStampResp against the request and extract the token details
+function parseTimeStampResponse(bytes, digest, nonce) {
+  const response = derChildren(derDecode(bytes));
+  const statusInfo = derChildren(response[0]);
+  const status = statusInfo[0].content[statusInfo[0].content.length - 1];
+
+  // 0 = granted, 1 = grantedWithMods
+  if (statusInfo[0].content.length !== 1 || status > 1) {
+    const statusText = statusInfo[1] && statusInfo[1].tag === DER_SEQUENCE
+      ? derChildren(statusInfo[1]).map(text => new TextDecoder().decode(text.content)).join(' ')
+      : '';
+    throw new Error(chrome.i18n.getMessage('tsaRejected', [String(status), statusText]));
+  }
+
+  if (!response[1]) {
+    throw new Error(chrome.i18n.getMessage('tsaNoToken'));
+  }
+
+  // ContentInfo -> SignedData -> EncapsulatedContentInfo -> TSTInfo
+  const signedData = derChildren(derDecode(derChildren(response[1])[1].content));
+  const encapContentInfo = signedData.find(element => element.tag === DER_SEQUENCE);
+  const eContent = derChildren(encapContentInfo).find(element => element.tag === DER_CONTEXT_0);
+  const tstInfo = derChildren(derDecode(derDecode(eContent.content).content));
+
+  const messageImprint = derChildren(tstInfo[2]);
+  if (!bytesEqual(messageImprint[1].content, digest)) {
+    throw new Error(chrome.i18n.getMessage('tsaImprintMismatch'));
+  }
+
+  const genTimeIndex = tstInfo.findIndex(element => element.tag === DER_GENERALIZED_TIME);
+  const tokenNonce = tstInfo.slice(genTimeIndex + 1).find(element => element.tag === DER_INTEGER);
+  if (!tokenNonce || !bytesEqual(trimInteger(tokenNonce.content), trimInteger(nonce))) {
+    throw new Error(chrome.i18n.getMessage('tsaNonceMismatch'));
+  }
+
+  return {
+    genTime: generalizedTimeToIso(new TextDecoder().decode(tstInfo[genTimeIndex].content)),
+    serialNumber: Array.from(tstInfo[3].content)
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('')
+  };
+}
+
+// Request a timestamp token for a SHA-256 digest from a TSA
+async function requestTimestampToken(tsaUrl, digest) {
+  const nonce = crypto.getRandomValues(new Uint8Array(8));
+  nonce[0] = (nonce[0] & 0x7F) | 0x40; // Positive, minimally encoded
+
+  const response = await fetch(tsaUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/timestamp-query' },
+    body: buildTimeStampRequest(digest, nonce)
+  });
+
+  if (!response.ok) {
+    throw new Error(chrome.i18n.getMessage('tsaHttpError', [String(response.status)]));
+  }
+
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  const details = parseTimeStampResponse(bytes, digest, nonce);
+
+  return Object.assign({ response: bytes }, details);
+}
@@ -0,0 +1,297 @@
+// upload-queue.js - Upload of captures to an HTTP or WebDAV server, through a
+// queue kept in IndexedDB so that uploads survive popup close and browser restart
+
+const UPLOAD_DB_NAME = 'stampshot-uploads';
+const UPLOAD_STORE = 'jobs';
+const UPLOAD_ALARM = 'uploadQueue';
+
+// Upload methods
+const UPLOAD_POST = 'post';
+const UPLOAD_WEBDAV = 'webdav';
+
+// Job status
+const UPLOAD_PENDING = 'pending';
+const UPLOAD_RUNNING = 'uploading';
+const UPLOAD_FAILED = 'failed';
+
+// Delay before the first retry, doubled after each failure up to the maximum
+const UPLOAD_RETRY_DELAY = 30000;
+const UPLOAD_MAX_RETRY_DELAY = 3600000;
+
+// Each job is { id, created, pageUrl, filename, blob, sidecar (Blob),
+// sidecars: [{ blob, extension }], method, url, status, attempts, nextAttempt,
+// lastError }. Uploaded jobs are deleted. Credentials and headers are read
+// from the settings at upload time, they are not copied into the queue.
+let uploadDb = null;
+
+function openUploadDb() {
+  if (!uploadDb) {
+    uploadDb = new Promise((resolve, reject) => {
+      const request = indexedDB.open(UPLOAD_DB_NAME, 1);
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(UPLOAD_STORE, { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return uploadDb;
+}
+
+// Run a request on the upload store and resolve with its result
+async function uploadRequest(mode, makeRequest) {
+  const db = await openUploadDb();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(UPLOAD_STORE, mode);
+    const request = makeRequest(transaction.objectStore(UPLOAD_STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+function getUploadJobs() {
+  return uploadRequest('readonly', store => store.getAll());
+}
+
+async function updateUploadJob(id, changes) {
+  const job = await uploadRequest('readonly', store => store.get(id));
+  if (job) {
+    await uploadRequest('readwrite', store => store.put(Object.assign(job, changes)));
+  }
+}
+
+// Jobs as shown by the uploads page, without their files
+async function getUploadStatus() {
+  const jobs = await getUploadJobs();
+  return jobs.map(job => ({
+    id: job.id,
+    created: job.created,
+    pageUrl: job.pageUrl,
+    filename: job.filename,
+    method: job.method,
+    url: job.url,
+    status: job.status,
+    attempts: job.attempts,
+    nextAttempt: job.nextAttempt,
+    lastError: job.lastError
+  }));
+}
+
+function notifyUploadProgress() {
+  chrome.runtime.sendMessage({ action: 'uploadProgress' }, () => {
+    // No page listening
+    void chrome.runtime.lastError;
+  });
+}
+
+// Add a rendered capture to the queue and start uploading it
+async function enqueueUpload(blob, sidecar, sidecars, filename, pageUrl, settings) {
+  const id = await uploadRequest('readwrite', store => store.add({
+    created: new Date().toISOString(),
+    pageUrl: pageUrl,
+    filename: filename,
+    blob: blob,
+    sidecar: sidecar,
+    sidecars: sidecars,
+    method: settings.uploadMethod === UPLOAD_WEBDAV ? UPLOAD_WEBDAV : UPLOAD_POST,
+    url: settings.uploadUrl,
+    status: UPLOAD_PENDING,
+    attempts: 0,
+    nextAttempt: 0,
+    lastError: ''
+  }));
+
+  notifyUploadProgress();
+  processUploadQueue();
+  return id;
+}
+
+// Retry a job now, or all failed jobs when id is not given
+async function retryUploads(id) {
+  const jobs = await getUploadJobs();
+  for (const job of jobs) {
+    if (id === undefined ? job.status === UPLOAD_FAILED : job.id === id) {
+      await updateUploadJob(job.id, { status: UPLOAD_PENDING, attempts: 0, nextAttempt: 0 });
+    }
+  }
+  notifyUploadProgress();
+  processUploadQueue();
+}
+
+async function deleteUpload(id) {
+  await uploadRequest('readwrite', store => store.delete(id));
+  notifyUploadProgress();
+}
+
+// Request headers from the settings: one "Name: value" per line, and basic
+// authentication when a user name is set
+function buildUploadHeaders(settings) {
+  const headers = new Headers();
+
+  settings.uploadHeaders.split('\n').forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      headers.set(line.slice(0, separator).trim(), line.slice(separator + 1).trim());
+    }
+  });
+
+  if (settings.uploadUsername) {
+    const credentials = new TextEncoder().encode(`${settings.uploadUsername}:${settings.uploadPassword}`);
+    headers.set('Authorization', 'Basic ' + btoa(String.fromCharCode(...credentials)));
+  }
+
+  return headers;
+}
+
+// Fail on HTTP errors. Client errors other than timeouts and rate limits are
+// not retried.
+function checkUploadResponse(response) {
+  if (!response.ok) {
+    const error = new Error(chrome.i18n.getMessage('uploadHttpError', [String(response.status), response.statusText]));
+    error.permanent = response.status >= 400 && response.status < 500 && response.status !== 408 && response.status !== 429;
+    throw error;
+  }
+}
+
+async function sendUploadRequest(url, options) {
+  const response = await fetch(url, Object.assign({ credentials: 'omit' }, options));
+  checkUploadResponse(response);
+  return response;
+}
+
+// URL of a file below the WebDAV base URL
+function webdavUrl(baseUrl, path) {
+  return baseUrl.replace(/\/+$/, '') + '/' + path.split('/').map(encodeURIComponent).join('/');
+}
+
+// PUT the file, its metadata and sidecars, creating the folders of its path
+// first. Existing folders make MKCOL fail with 405, which is ignored.
+async function uploadWebdav(job, headers) {
+  const folders = job.filename.split('/').slice(0, -1);
+  for (let i = 1; i <= folders.length; i++) {
+    const response = await fetch(webdavUrl(job.url, folders.slice(0, i).join('/')), {
+      method: 'MKCOL',
+      headers: headers,
+      credentials: 'omit'
+    });
+    if (response.status !== 405) {
+      checkUploadResponse(response);
+    }
+  }
+
+  const base = job.filename.replace(/\.[^.\/]+$/, '');
+  await sendUploadRequest(webdavUrl(job.url, job.filename), { method: 'PUT', headers: headers, body: job.blob });
+  await sendUploadRequest(webdavUrl(job.url, base + '.json'), { method: 'PUT', headers: headers, body: job.sidecar });
+  for (const sidecar of job.sidecars) {
+    await sendUploadRequest(webdavUrl(job.url, base + sidecar.extension), { method: 'PUT', headers: headers, body: sidecar.blob });
+  }
+}
+
+// POST the file, its metadata and sidecars as a multipart form
+async function uploadPost(job, headers) {
+  const name = job.filename.split('/').pop();
+  const base = name.replace(/\.[^.\/]+$/, '');
+  const form = new FormData();
+  form.append('file', job.blob, name);
+  form.append('metadata', job.sidecar, base + '.json');
+  job.sidecars.forEach(sidecar => form.append('sidecar', sidecar.blob, base + sidecar.extension));
+  form.append('path', job.filename);
+
+  await sendUploadRequest(job.url, { method: 'POST', headers: headers, body: form });
+}
+
+// Upload the jobs that are due, one at a time. Failed attempts are retried
+// with a growing delay, until the maximum number of attempts.
+let uploadQueueRunning = null;
+
+function processUploadQueue() {
+  if (!uploadQueueRunning) {
+    uploadQueueRunning = runUploadQueue().finally(() => {
+      uploadQueueRunning = null;
+    });
+  }
+  return uploadQueueRunning;
+}
+
+async function runUploadQueue() {
+  let job;
+  while ((job = (await getUploadJobs()).find(item => item.status === UPLOAD_PENDING && item.nextAttempt <= Date.now()))) {
+    const settings = await getSettings();
+    await updateUploadJob(job.id, { status: UPLOAD_RUNNING });
+    notifyUploadProgress();
+
+    try {
+      const headers = buildUploadHeaders(settings);
+      if (job.method === UPLOAD_WEBDAV) {
+        await uploadWebdav(job, headers);
+      } else {
+        await uploadPost(job, headers);
+      }
+      await uploadRequest('readwrite', store => store.delete(job.id));
+    } catch (error) {
+      console.error("Upload failed:", error);
+      const attempts = job.attempts + 1;
+      const failed = error.permanent || attempts >= settings.uploadMaxAttempts;
+      await updateUploadJob(job.id, {
+        status: failed ? UPLOAD_FAILED : UPLOAD_PENDING,
+        attempts: attempts,
+        nextAttempt: Date.now() + Math.min(UPLOAD_RETRY_DELAY * Math.pow(2, attempts - 1), UPLOAD_MAX_RETRY_DELAY),
+        lastError: error.message
+      });
+    }
+    notifyUploadProgress();
+  }
+
+  // Wake up for the next retry
+  const pending = (await getUploadJobs()).filter(item => item.status === UPLOAD_PENDING);
+  if (pending.length > 0) {
+    chrome.alarms.create(UPLOAD_ALARM, { when: Math.min(...pending.map(item => item.nextAttempt)) });
+  }
+}
+
+// Uploads interrupted by closing the browser are attempted again
+async function resumeUploadQueue() {
+  const jobs = await getUploadJobs();
+  for (const job of jobs) {
+    if (job.status === UPLOAD_RUNNING) {
+      await updateUploadJob(job.id, { status: UPLOAD_PENDING });
+    }
+  }
+  processUploadQueue();
+}
+
+// The capture is queued with its metadata, named like the downloaded file
+// (with the image extension when it was saved in an evidence bundle)
+registerDestination('upload', async (blob, metadata, sidecars, destination, delivered) => {
+  const settings = await getSettings();
+  const sha256 = delivered.sha256 || await sha256Hex(blob);
+  const format = OUTPUT_FORMATS[metadata.format] || OUTPUT_FORMATS.png;
+  const filename = delivered.filename
+    ? delivered.filename.replace(/\.[^.\/]+$/, '') + format.extension
+    : buildScreenshotPath(settings, await buildFilenameValues(settings, metadata, sha256), format.extension);
+
+  const sidecar = Object.assign({ file: filename, sha256: sha256 }, metadata);
+  await enqueueUpload(
+    blob,
+    new Blob([JSON.stringify(sidecar, null, 2)], {type: 'application/json'}),
+    sidecars,
+    filename,
+    metadata.url || '',
+    settings
+  );
+  // The uploaded name is logged when no download named the capture
+  return delivered.filename
+    ? { note: chrome.i18n.getMessage('uploadQueued') }
+    : { filename: filename, note: chrome.i18n.getMessage('uploadQueued') };
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === UPLOAD_ALARM) {
+    processUploadQueue();
+  }
+});
+
+chrome.runtime.onStartup.addListener(resumeUploadQueue);
+resumeUploadQueue();
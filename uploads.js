@@ -0,0 +1,124 @@
+// uploads.js - Upload queue page controller
+
+document.addEventListener('DOMContentLoaded', () => {
+  // UI Elements
+  const retryFailedBtn = document.getElementById('retryFailedBtn');
+  const optionsBtn = document.getElementById('optionsBtn');
+  const errorDiv = document.getElementById('error');
+  const uploadsTable = document.getElementById('uploads');
+  const noUploads = document.getElementById('noUploads');
+
+  const STATUS_LABELS = {
+    pending: chrome.i18n.getMessage('uploadStatusPending'),
+    uploading: chrome.i18n.getMessage('uploadStatusUploading'),
+    failed: chrome.i18n.getMessage('uploadStatusFailed')
+  };
+
+  // Localization - Apply translations
+  document.querySelectorAll('[data-i18n]').forEach(element => {
+    const message = chrome.i18n.getMessage(element.dataset.i18n);
+    if (message) {
+      element.textContent = message;
+    }
+  });
+
+  function showError(message) {
+    errorDiv.textContent = message ? chrome.i18n.getMessage('error', [message]) : '';
+  }
+
+  // Send an upload action to the background script, which answers with the queue
+  function sendUploadAction(message) {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        showError(chrome.runtime.lastError ? chrome.runtime.lastError.message : (response && response.message));
+        return;
+      }
+      showError(null);
+      render(response.uploads);
+    });
+  }
+
+  function addButton(cell, label, onClick) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    cell.appendChild(button);
+  }
+
+  // Status, attempts and the time of the next attempt of a job
+  function statusText(upload) {
+    const parts = [STATUS_LABELS[upload.status] || upload.status];
+    if (upload.attempts > 0) {
+      parts.push(chrome.i18n.getMessage('uploadAttempts', [String(upload.attempts)]));
+    }
+    if (upload.status === 'pending' && upload.nextAttempt > Date.now()) {
+      parts.push(chrome.i18n.getMessage('uploadNextAttempt', [new Date(upload.nextAttempt).toLocaleString()]));
+    }
+    return parts.join(' - ');
+  }
+
+  // List the queued uploads, oldest first, with their status and actions
+  function render(uploads) {
+    uploadsTable.textContent = '';
+    noUploads.hidden = uploads.length > 0;
+    retryFailedBtn.disabled = !uploads.some(upload => upload.status === 'failed');
+
+    uploads.forEach(upload => {
+      const row = uploadsTable.insertRow();
+
+      const descriptionCell = row.insertCell();
+      descriptionCell.textContent = upload.filename;
+
+      const source = document.createElement('div');
+      source.className = 'detail';
+      source.textContent = chrome.i18n.getMessage('uploadSummary', [
+        new Date(upload.created).toLocaleString(),
+        upload.pageUrl || '-',
+        upload.url
+      ]);
+      descriptionCell.appendChild(source);
+
+      const status = document.createElement('div');
+      status.className = upload.status === 'failed' ? 'detail failed' : 'detail';
+      status.textContent = statusText(upload);
+      descriptionCell.appendChild(status);
+
+      if (upload.lastError) {
+        const lastError = document.createElement('div');
+        lastError.className = 'detail failed';
+        lastError.textContent = chrome.i18n.getMessage('uploadLastError', [upload.lastError]);
+        descriptionCell.appendChild(lastError);
+      }
+
+      const actionsCell = row.insertCell();
+      actionsCell.className = 'actions';
+      if (upload.status !== 'uploading') {
+        addButton(actionsCell, chrome.i18n.getMessage('uploadRetry'), () => {
+          sendUploadAction({ action: 'retryUpload', id: upload.id });
+        });
+        addButton(actionsCell, chrome.i18n.getMessage('uploadDelete'), () => {
+          if (confirm(chrome.i18n.getMessage('uploadDeleteConfirm', [upload.filename]))) {
+            sendUploadAction({ action: 'deleteUpload', id: upload.id });
+          }
+        });
+      }
+    });
+  }
+
+  retryFailedBtn.addEventListener('click', () => {
+    sendUploadAction({ action: 'retryUpload' });
+  });
+
+  optionsBtn.addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+  });
+
+  // The background script reports every change of the queue
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.action === 'uploadProgress') {
+      sendUploadAction({ action: 'getUploads' });
+    }
+  });
+
+  sendUploadAction({ action: 'getUploads' });
+});
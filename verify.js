@@ -0,0 +1,110 @@
+// verify.js - Check a screenshot against its integrity sidecar
+
+document.addEventListener('DOMContentLoaded', () => {
+  // UI Elements
+  const dropZone = document.getElementById('dropZone');
+  const imageInput = document.getElementById('imageInput');
+  const sidecarInput = document.getElementById('sidecarInput');
+  const resultDiv = document.getElementById('result');
+  const detailsTable = document.getElementById('details');
+
+  // Files currently selected for verification
+  let imageFile = null;
+  let sidecarFile = null;
+
+  // Localization - Apply translations
+  document.querySelectorAll('[data-i18n]').forEach(element => {
+    const message = chrome.i18n.getMessage(element.dataset.i18n);
+    if (message) {
+      element.textContent = message;
+    }
+  });
+
+  // Sort a selection of files into screenshot and sidecar
+  function assignFiles(files) {
+    Array.from(files).forEach(file => {
+      if (file.name.toLowerCase().endsWith('.json') || file.type === 'application/json') {
+        sidecarFile = file;
+      } else {
+        imageFile = file;
+      }
+    });
+
+    verify();
+  }
+
+  // Add a row to the details table
+  function addDetail(label, value) {
+    const row = detailsTable.insertRow();
+    row.insertCell().textContent = label;
+    row.insertCell().textContent = value;
+  }
+
+  function showResult(message, matches) {
+    resultDiv.textContent = message;
+    resultDiv.className = matches ? 'match' : 'mismatch';
+  }
+
+  // Compare the screenshot hash with the one recorded in the sidecar
+  async function verify() {
+    resultDiv.textContent = '';
+    detailsTable.textContent = '';
+
+    if (!imageFile || !sidecarFile) {
+      return;
+    }
+
+    let sidecar;
+    try {
+      sidecar = JSON.parse(await sidecarFile.text());
+    } catch (error) {
+      showResult(chrome.i18n.getMessage('verifyInvalidSidecar'), false);
+      return;
+    }
+
+    if (!sidecar || typeof sidecar.sha256 !== 'string') {
+      showResult(chrome.i18n.getMessage('verifyInvalidSidecar'), false);
+      return;
+    }
+
+    const actualHash = await sha256Hex(imageFile);
+    const matches = actualHash === sidecar.sha256.toLowerCase();
+
+    showResult(chrome.i18n.getMessage(matches ? 'verifyMatch' : 'verifyMismatch'), matches);
+
+    addDetail(chrome.i18n.getMessage('verifyExpectedHash'), sidecar.sha256);
+    addDetail(chrome.i18n.getMessage('verifyActualHash'), actualHash);
+    addDetail(chrome.i18n.getMessage('verifyUrl'), sidecar.url || '');
+    addDetail(chrome.i18n.getMessage('verifyPageTitle'), sidecar.title || '');
+    addDetail(chrome.i18n.getMessage('verifyCaptureMode'), sidecar.mode || '');
+    addDetail(chrome.i18n.getMessage('verifyTimestamp'), sidecar.timestamp || '');
+    addDetail(chrome.i18n.getMessage('verifyExtensionVersion'), sidecar.extensionVersion || '');
+  }
+
+  // Drag and drop handling
+  dropZone.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    dropZone.classList.add('dragover');
+  });
+
+  dropZone.addEventListener('dragleave', () => {
+    dropZone.classList.remove('dragover');
+  });
+
+  dropZone.addEventListener('drop', (e) => {
+    e.preventDefault();
+    dropZone.classList.remove('dragover');
+    assignFiles(e.dataTransfer.files);
+  });
+
+  // File input handling
+  imageInput.addEventListener('change', () => {
+    imageFile = imageInput.files[0] || null;
+    verify();
+  });
+
+  sidecarInput.addEventListener('change', () => {
+    sidecarFile = sidecarInput.files[0] || null;
+    verify();
+  });
+});
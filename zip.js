@@ -0,0 +1,74 @@
+// zip.js - Write ZIP archives of stored (uncompressed) files
+
+const ZIP_LOCAL_HEADER = 0x04034B50;
+const ZIP_CENTRAL_HEADER = 0x02014B50;
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054B50;
+
+// Version 2.0, the first with folders, and the UTF-8 file names flag
+const ZIP_VERSION = 20;
+const ZIP_UTF8_NAMES = 0x0800;
+
+// Date and time of the files in MS-DOS format, in local time
+function zipDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: (Math.max(date.getFullYear() - 1980, 0) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+// Build a ZIP file from files [{ name, data (Uint8Array) }], dated date.
+// Captures and page sources are small enough to be stored without
+// compression. The CRC-32 is the one of PNG chunks.
+function buildZip(files, date = new Date()) {
+  const encoder = new TextEncoder();
+  const dosDate = zipDosDateTime(date);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const crc = pngCrc32(file.data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, ZIP_LOCAL_HEADER, true);
+    local.setUint16(4, ZIP_VERSION, true);
+    local.setUint16(6, ZIP_UTF8_NAMES, true);
+    local.setUint16(8, 0, true);
+    local.setUint16(10, dosDate.time, true);
+    local.setUint16(12, dosDate.date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, file.data.length, true);
+    local.setUint32(22, file.data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, ZIP_CENTRAL_HEADER, true);
+    central.setUint16(4, ZIP_VERSION, true);
+    central.setUint16(6, ZIP_VERSION, true);
+    central.setUint16(8, ZIP_UTF8_NAMES, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, dosDate.time, true);
+    central.setUint16(14, dosDate.date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, file.data.length, true);
+    central.setUint32(24, file.data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+
+    localParts.push(new Uint8Array(local.buffer), name, file.data);
+    centralParts.push(new Uint8Array(central.buffer), name);
+    offset += 30 + name.length + file.data.length;
+  });
+
+  const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, ZIP_END_OF_CENTRAL_DIRECTORY, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob(localParts.concat(centralParts, [new Uint8Array(end.buffer)]), {type: 'application/zip'});
+}